@@ -0,0 +1,53 @@
+import archiver from "archiver";
+import bcrypt from "bcryptjs";
+import User from "../models/User.js";
+import { TWO_FACTOR_FIELDS, verifySecondFactor } from "../lib/twofactor.js";
+import { clearSessionCookies } from "../lib/sessions.js";
+import { deleteUserAccount, writeAccountData } from "../lib/account.js";
+
+// a zip of everything stored about the user; asks for the password again since it holds every conversation
+export const exportAccountData = async (req, res) => {
+    const { password } = req.body;
+    if (!password) return res.status(400).json({ message: "Password is required." });
+
+    try {
+        const user = await User.findById(req.user._id);
+        const isPasswordCorrect = await bcrypt.compare(password, user.password);
+        if (!isPasswordCorrect) return res.status(400).json({ message: "Incorrect password." });
+
+        const archive = archiver("zip");
+        archive.on("warning", (error) => console.error("Warning while exporting account data:", error.message));
+        res.attachment(`bradchat-export-${new Date().toISOString().slice(0, 10)}.zip`);
+        archive.pipe(res);
+
+        await writeAccountData(user._id, archive);
+        await archive.finalize();
+    } catch (error) {
+        console.error("Error in exportAccountData controller:", error);
+        // once the download started, the only way to signal failure is to cut it off
+        if (res.headersSent) return res.destroy();
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+// needs the password, plus a code when 2fa is on, so a session left open somewhere isn't enough
+export const deleteAccount = async (req, res) => {
+    const { password, code } = req.body;
+    if (!password) return res.status(400).json({ message: "Password is required." });
+
+    try {
+        const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+        const isPasswordCorrect = await bcrypt.compare(password, user.password);
+        if (!isPasswordCorrect) return res.status(400).json({ message: "Incorrect password." });
+        if (user.twoFactorEnabled && !verifySecondFactor(user, code)) {
+            return res.status(400).json({ message: "Invalid two-factor code." });
+        }
+
+        await deleteUserAccount(user._id);
+        clearSessionCookies(res);
+        res.status(200).json({ message: "Your account has been deleted" });
+    } catch (error) {
+        console.error("Error in deleteAccount controller:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
@@ -1,9 +1,56 @@
 import User from "../models/User.js";
 import bcrypt from "bcryptjs";
-import { generateToken } from "../lib/utils.js";
-import { sendWelcomeEmail } from "../emails/emailHandlers.js";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { hashToken } from "../lib/utils.js";
+import { REFRESH_COOKIE, clearSessionCookies, findSessionByRefreshToken, revokeSession, revokeUserSessions, rotateSession, startSession } from "../lib/sessions.js";
+import { sendWelcomeEmail, sendPasswordResetEmail, sendVerificationEmail, sendEmailChangeEmail } from "../emails/emailHandlers.js";
+import { emitToUser } from "../lib/socket.js";
 import { ENV } from "../lib/env.js";
-import cloudinary from "../lib/cloudinary.js";  // Import Cloudinary configuration
+import { removeFile } from "../lib/storage/index.js";
+import { receiveUpload } from "../lib/upload.js";
+import { TWO_FACTOR_FIELDS, verifySecondFactor } from "../lib/twofactor.js";
+
+// what the client keeps about the signed in user
+const toAuthUser = (user) => ({
+  _id: user._id,
+  fullName: user.fullName,
+  email: user.email,
+  profilePic: user.profilePic,
+  bio: user.bio,
+  statusMessage: user.statusMessage,
+  emailVerified: user.emailVerified,
+  emailDigestFrequency: user.emailDigestFrequency,
+  twoFactorEnabled: user.twoFactorEnabled,
+});
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// the second login step has to follow the password within this time, and a few wrong codes lock it for a while
+const TWO_FACTOR_LOGIN_EXPIRY = "5m";
+const MAX_TWO_FACTOR_ATTEMPTS = 5;
+const TWO_FACTOR_LOCK_MINUTES = 15;
+
+const EMAIL_VERIFICATION_EXPIRY_HOURS = 24;
+const EMAIL_VERIFICATION_RESEND_SECONDS = 60;
+
+// sets a fresh verification token on the (unsaved) user, replacing any earlier link
+const createEmailVerificationToken = (user) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  user.emailVerificationTokenHash = hashToken(token);
+  user.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_EXPIRY_HOURS * 60 * 60 * 1000);
+  user.emailVerificationSentAt = new Date();
+  return token;
+}
+
+const sendEmailVerification = async (user, token) => {
+  try {
+    const verifyURL = `${ENV.CLIENT_URL}/verify-email/${token}`;
+    await sendVerificationEmail(user.email, user.fullName, verifyURL, EMAIL_VERIFICATION_EXPIRY_HOURS);
+  } catch (error) {
+    console.error("Failed to send verification email:", error);
+  }
+}
 
 export const signup = async (req, res) => {
   const { fullName, email, password } = req.body;
@@ -17,8 +64,7 @@ export const signup = async (req, res) => {
     }
 
     // check email validation
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
+    if (!EMAIL_REGEX.test(email)) {
       return res.status(400).json({ message: "Invalid email format" });
     }
 
@@ -30,22 +76,16 @@ export const signup = async (req, res) => {
       fullName,
       email,
       password: hashedPassword,
+      emailVerified: false,
     });
+    const verificationToken = createEmailVerificationToken(newUser);
 
     if(newUser) {
         const savedUser = await newUser.save();
-        generateToken(savedUser._id, res);
-        res.status(201).json({
-            _id: newUser._id,
-            fullName: newUser.fullName,
-            email: newUser.email,
-            profilePic: newUser.profilePic,
-        });
-        try {
-            await sendWelcomeEmail(savedUser.email, savedUser.fullName, ENV.CLIENT_URL);
-        } catch (error) {
-            console.error("Failed to send welcome email:", error);
-        }
+        await startSession(savedUser._id, req, res);
+        res.status(201).json(toAuthUser(savedUser));
+        // the welcome email follows once the address is confirmed
+        await sendEmailVerification(savedUser, verificationToken);
     } else {
       return res.status(400).json({ message: "Invalid user data" });
     }
@@ -68,36 +108,346 @@ export const login = async (req, res) => {
     const isPasswordCorrect = await bcrypt.compare(password, user.password);
     if(!isPasswordCorrect) return res.status(400).json({ message: "Invalid credentials" });
 
-    generateToken(user._id, res);
+    // the password is right, but the session only starts once the second factor is checked too
+    if (user.twoFactorEnabled) {
+      const loginToken = jwt.sign({ UserId: user._id, purpose: "2fa-login" }, ENV.JWT_SECRET, {
+        expiresIn: TWO_FACTOR_LOGIN_EXPIRY,
+      });
+      return res.status(200).json({ twoFactorRequired: true, loginToken });
+    }
+
+    await startSession(user._id, req, res);
 
-    res.status(200).json({
-      _id: user._id,
-      fullName: user.fullName,
-      email: user.email,
-      profilePic: user.profilePic,
-    });
+    res.status(200).json(toAuthUser(user));
   } catch (error) {
     console.log("Error in login controller", error);
     res.status(500).json({ message: "Internal server error" });
   }
 };
 
-export const logout = (_, res) => {
-  res.cookie("jwt", "", {maxAge: 0})
-  res.status(200).json({ message: "Logged out successfully" });
+export const loginWithTwoFactor = async (req, res) => {
+  const { loginToken, code } = req.body;
+  if (!loginToken || !code) return res.status(400).json({ message: "Code is required" });
+
+  let decoded = null;
+  try {
+    decoded = jwt.verify(loginToken, ENV.JWT_SECRET);
+  } catch {
+    // expired or forged, handled below
+  }
+  if (decoded?.purpose !== "2fa-login") {
+    return res.status(401).json({ message: "Your login attempt expired. Please log in again." });
+  }
+
+  try {
+    const user = await User.findById(decoded.UserId).select(`${TWO_FACTOR_FIELDS} +twoFactorFailedAttempts +twoFactorLockedUntil`);
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({ message: "Your login attempt expired. Please log in again." });
+    }
+    if (user.twoFactorLockedUntil > new Date()) {
+      return res.status(429).json({ message: "Too many incorrect codes. Please try again later." });
+    }
+
+    if (!verifySecondFactor(user, code)) {
+      user.twoFactorFailedAttempts += 1;
+      if (user.twoFactorFailedAttempts >= MAX_TWO_FACTOR_ATTEMPTS) {
+        user.twoFactorFailedAttempts = 0;
+        user.twoFactorLockedUntil = new Date(Date.now() + TWO_FACTOR_LOCK_MINUTES * 60 * 1000);
+      }
+      await user.save();
+      return res.status(400).json({ message: "Invalid code" });
+    }
+
+    user.twoFactorFailedAttempts = 0;
+    user.twoFactorLockedUntil = undefined;
+    await user.save();
+    await startSession(user._id, req, res);
+
+    res.status(200).json(toAuthUser(user));
+  } catch (error) {
+    console.log("Error in loginWithTwoFactor controller", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const logout = async (req, res) => {
+  try {
+    const session = await findSessionByRefreshToken(req.cookies[REFRESH_COOKIE]);
+    if (session) await revokeSession(session._id);
+    clearSessionCookies(res);
+    res.status(200).json({ message: "Logged out successfully" });
+  } catch (error) {
+    console.log("Error in logout controller", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// swaps the refresh cookie for a new access and refresh token; the client calls this whenever it gets a 401
+export const refreshSession = async (req, res) => {
+  try {
+    const session = await rotateSession(req.cookies[REFRESH_COOKIE], req, res);
+    if (!session) {
+      clearSessionCookies(res);
+      return res.status(401).json({ message: "Unauthorized - Session expired" });
+    }
+    res.status(200).json({ message: "Session refreshed" });
+  } catch (error) {
+    console.log("Error in refreshSession controller", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+// editable text fields of a profile, with their longest allowed length
+const PROFILE_TEXT_FIELDS = {
+    fullName: { label: "Name", maxLength: 50 },
+    bio: { label: "Bio", maxLength: 160 },
+    statusMessage: { label: "Status", maxLength: 80 },
 };
 
 export const updateProfile = async (req, res) => {
     try {
-        const { profilePic} = req.body;
-        if(!profilePic) return res.status(400).json({ message: "Profile picture is required" });
         const UserId = req.user._id;
-        const uploadResponse = await cloudinary.uploader.upload(profilePic)
-        const updatedUser = await User.findByIdAndUpdate(UserId, { profilePic: uploadResponse.secure_url }, { new: true });
+
+        // a new picture comes as the file of a multipart form, with any text fields alongside it
+        let body = req.body;
+        let profilePic = null;
+        if (req.is("multipart/form-data")) {
+            const { fields, image, error } = await receiveUpload(req, "avatar");
+            if (error) return res.status(error.status).json({ message: error.message });
+            body = fields;
+            profilePic = image?.url || null;
+        }
+        // the picture is already stored by now, so a rejected update removes it again
+        const rejectUpdate = async (message) => {
+            await removeFile(profilePic);
+            res.status(400).json({ message });
+        }
+
+        // only the fields that are sent change, so the picture can still be updated on its own
+        const updates = {};
+        for (const [field, { label, maxLength }] of Object.entries(PROFILE_TEXT_FIELDS)) {
+            if (body[field] === undefined) continue;
+            if (typeof body[field] !== "string") return rejectUpdate(`${label} must be text`);
+            const value = body[field].trim();
+            if (value.length > maxLength) {
+                return rejectUpdate(`${label} can be at most ${maxLength} characters long`);
+            }
+            updates[field] = value;
+        }
+        if (updates.fullName === "") return rejectUpdate("Name can't be empty");
+        if (!profilePic && Object.keys(updates).length === 0) {
+            return res.status(400).json({ message: "Nothing to update" });
+        }
+
+        if (profilePic) updates.profilePic = profilePic;
+        const updatedUser = await User.findByIdAndUpdate(UserId, updates, { new: true }).select("-password");
+        // the replaced picture is no longer referenced anywhere
+        if (profilePic) await removeFile(req.user.profilePic);
 
         res.status(200).json(updatedUser);
     } catch (error) {
         console.error("Error in updateProfile controller:", error);
         res.status(500).json({ message: "Internal server error" });
     }
-}
\ No newline at end of file
+}
+
+const PASSWORD_RESET_EXPIRY_MINUTES = 60;
+
+export const requestPasswordReset = async (req, res) => {
+  const { email } = req.body;
+  if (!email) return res.status(400).json({ message: "Email is required" });
+
+  // the same answer whether or not the account exists, so this can't be used to probe for emails
+  const response = { message: "If an account with that email exists, a reset link has been sent." };
+  try {
+    const user = await User.findOne({ email });
+    if (!user) return res.status(200).json(response);
+
+    // only the hash is stored; a new request replaces any earlier link
+    const token = crypto.randomBytes(32).toString("hex");
+    user.passwordResetTokenHash = hashToken(token);
+    user.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_EXPIRY_MINUTES * 60 * 1000);
+    await user.save();
+
+    res.status(200).json(response);
+    try {
+      const resetURL = `${ENV.CLIENT_URL}/reset-password/${token}`;
+      await sendPasswordResetEmail(user.email, user.fullName, resetURL, PASSWORD_RESET_EXPIRY_MINUTES);
+    } catch (error) {
+      console.error("Failed to send password reset email:", error);
+    }
+  } catch (error) {
+    console.log("Error in requestPasswordReset controller", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const resetPassword = async (req, res) => {
+  const { token, password } = req.body;
+  if (!token || !password) {
+    return res.status(400).json({ message: "Token and new password are required" });
+  }
+  if (password.length < 6) {
+    return res.status(400).json({ message: "Password must be at least 6 characters long." });
+  }
+  try {
+    const user = await User.findOne({
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpires: { $gt: new Date() },
+    });
+    if (!user) return res.status(400).json({ message: "This reset link is invalid or has expired" });
+
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(password, salt);
+    // single use, and every session signed in with the old password ends now
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+    await revokeUserSessions(user._id);
+
+    res.status(200).json({ message: "Password reset successfully. Please log in." });
+  } catch (error) {
+    console.log("Error in resetPassword controller", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const verifyEmail = async (req, res) => {
+  const { token } = req.body;
+  if (!token) return res.status(400).json({ message: "Token is required" });
+  try {
+    const user = await User.findOne({
+      emailVerificationTokenHash: hashToken(token),
+      emailVerificationExpires: { $gt: new Date() },
+    });
+    if (!user) return res.status(400).json({ message: "This verification link is invalid or has expired" });
+
+    user.emailVerified = true;
+    user.emailVerificationTokenHash = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+    // the link may be opened in another browser; tabs that are signed in lift their restrictions right away
+    emitToUser(user._id, "emailVerified", {});
+
+    res.status(200).json({ message: "Email verified successfully" });
+    try {
+      await sendWelcomeEmail(user.email, user.fullName, ENV.CLIENT_URL);
+    } catch (error) {
+      console.error("Failed to send welcome email:", error);
+    }
+  } catch (error) {
+    console.log("Error in verifyEmail controller", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const resendVerificationEmail = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("+emailVerificationSentAt");
+    if (user.emailVerified !== false) return res.status(400).json({ message: "Your email is already verified" });
+
+    const secondsSinceLastEmail = (Date.now() - (user.emailVerificationSentAt?.getTime() ?? 0)) / 1000;
+    if (secondsSinceLastEmail < EMAIL_VERIFICATION_RESEND_SECONDS) {
+      const waitSeconds = Math.ceil(EMAIL_VERIFICATION_RESEND_SECONDS - secondsSinceLastEmail);
+      return res.status(429).json({ message: `Please wait ${waitSeconds} seconds before requesting another email` });
+    }
+
+    const token = createEmailVerificationToken(user);
+    await user.save();
+    res.status(200).json({ message: "Verification email sent" });
+    await sendEmailVerification(user, token);
+  } catch (error) {
+    console.log("Error in resendVerificationEmail controller", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const changePassword = async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  if (!currentPassword || !newPassword) {
+    return res.status(400).json({ message: "Current and new password are required" });
+  }
+  if (newPassword.length < 6) {
+    return res.status(400).json({ message: "Password must be at least 6 characters long." });
+  }
+  try {
+    const user = await User.findById(req.user._id);
+    const isPasswordCorrect = await bcrypt.compare(currentPassword, user.password);
+    if (!isPasswordCorrect) return res.status(400).json({ message: "Current password is incorrect" });
+
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(newPassword, salt);
+    await user.save();
+    // other devices have to sign in again with the new password, this one stays signed in
+    await revokeUserSessions(user._id, req.sessionId);
+
+    res.status(200).json({ message: "Password changed successfully" });
+  } catch (error) {
+    console.log("Error in changePassword controller", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+const EMAIL_CHANGE_EXPIRY_MINUTES = 60;
+
+// the new address only replaces the current one once the link sent to it is opened
+export const requestEmailChange = async (req, res) => {
+  const { email, password } = req.body;
+  if (!email || !password) return res.status(400).json({ message: "New email and password are required" });
+  if (!EMAIL_REGEX.test(email)) return res.status(400).json({ message: "Invalid email format" });
+  try {
+    const user = await User.findById(req.user._id);
+    if (email === user.email) return res.status(400).json({ message: "That is already your email" });
+
+    const isPasswordCorrect = await bcrypt.compare(password, user.password);
+    if (!isPasswordCorrect) return res.status(400).json({ message: "Incorrect password" });
+    if (await User.exists({ email })) return res.status(400).json({ message: "Email already exists" });
+
+    const token = crypto.randomBytes(32).toString("hex");
+    user.pendingEmail = email;
+    user.emailChangeTokenHash = hashToken(token);
+    user.emailChangeExpires = new Date(Date.now() + EMAIL_CHANGE_EXPIRY_MINUTES * 60 * 1000);
+    await user.save();
+
+    res.status(200).json({ message: `We sent a confirmation link to ${email}` });
+    try {
+      const confirmURL = `${ENV.CLIENT_URL}/confirm-email/${token}`;
+      await sendEmailChangeEmail(email, user.fullName, confirmURL, EMAIL_CHANGE_EXPIRY_MINUTES);
+    } catch (error) {
+      console.error("Failed to send email change confirmation:", error);
+    }
+  } catch (error) {
+    console.log("Error in requestEmailChange controller", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+export const confirmEmailChange = async (req, res) => {
+  const { token } = req.body;
+  if (!token) return res.status(400).json({ message: "Token is required" });
+  try {
+    const user = await User.findOne({
+      emailChangeTokenHash: hashToken(token),
+      emailChangeExpires: { $gt: new Date() },
+    }).select("+pendingEmail");
+    if (!user) return res.status(400).json({ message: "This confirmation link is invalid or has expired" });
+    // someone may have signed up with the address since it was requested
+    if (await User.exists({ email: user.pendingEmail })) {
+      return res.status(400).json({ message: "Email already exists" });
+    }
+
+    // opening the link proves the new address belongs to the user
+    user.email = user.pendingEmail;
+    user.emailVerified = true;
+    user.pendingEmail = undefined;
+    user.emailChangeTokenHash = undefined;
+    user.emailChangeExpires = undefined;
+    await user.save();
+    emitToUser(user._id, "emailChanged", { email: user.email });
+
+    res.status(200).json({ message: "Email changed successfully", email: user.email });
+  } catch (error) {
+    console.log("Error in confirmEmailChange controller", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
@@ -0,0 +1,134 @@
+import mongoose from "mongoose";
+import Contact from "../models/Contact.js";
+import User from "../models/User.js";
+import { emitToUser } from "../lib/socket.js";
+import { MEMBER_FIELDS, isBlockedBetween } from "../lib/conversations.js";
+import { findContactLink } from "../lib/contacts.js";
+
+// a request as seen by one side: the other user, and whether it's still pending
+const toRequestPayload = (contact, user) => ({
+    _id: contact._id,
+    user,
+    status: contact.status,
+    createdAt: contact.createdAt,
+});
+
+// both sides refetch their contacts and requests on any change
+const notifyContactsChanged = (...userIds) => {
+    for (const userId of userIds) emitToUser(userId, "contactsChanged", {});
+}
+
+export const getContactRequests = async (req, res) => {
+    try {
+        const myId = req.user._id;
+        const [incoming, outgoing] = await Promise.all([
+            Contact.find({ recipient: myId, status: "pending" }).populate("requester", MEMBER_FIELDS).sort({ createdAt: -1 }),
+            // who is behind an address stays hidden until they accept
+            Contact.find({ requester: myId, status: "pending" }).populate("recipient", "email").sort({ createdAt: -1 }),
+        ]);
+
+        res.status(200).json({
+            incoming: incoming.map((contact) => toRequestPayload(contact, contact.requester)),
+            outgoing: outgoing.map((contact) => toRequestPayload(contact, contact.recipient)),
+        });
+    } catch (error) {
+        console.error("Error fetching contact requests:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+export const sendContactRequest = async (req, res) => {
+    try {
+        const myId = req.user._id;
+        const email = typeof req.body.email === "string" ? req.body.email.trim() : "";
+        if (!email) return res.status(400).json({ message: "Email is required." });
+
+        // the same answer whether or not the address has an account, or one that blocks us,
+        // so this can't be used to probe for emails
+        const response = { message: "If someone uses that email, they'll get your request." };
+        const user = await User.findOne({ email }).select(MEMBER_FIELDS).lean();
+        if (!user) return res.status(200).json(response);
+        if (myId.equals(user._id)) return res.status(400).json({ message: "You can't add yourself." });
+        if (await isBlockedBetween(myId, user._id)) return res.status(200).json(response);
+
+        const existing = await findContactLink(myId, user._id);
+        if (existing?.status === "accepted") return res.status(400).json({ message: "Already in your contacts." });
+        if (existing?.requester.equals(myId)) return res.status(400).json({ message: "Request already sent." });
+
+        // asking someone who already asked us accepts their request
+        if (existing) {
+            existing.status = "accepted";
+            await existing.save();
+            notifyContactsChanged(user._id, myId);
+            return res.status(200).json(toRequestPayload(existing, user));
+        }
+
+        await Contact.create({ requester: myId, recipient: user._id });
+        notifyContactsChanged(user._id);
+        res.status(200).json(response);
+    } catch (error) {
+        console.error("Error sending contact request:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+export const acceptContactRequest = async (req, res) => {
+    try {
+        const myId = req.user._id;
+        const { id } = req.params;
+        if (!mongoose.isValidObjectId(id)) return res.status(400).json({ message: "Invalid request id." });
+
+        const contact = await Contact.findOne({ _id: id, recipient: myId, status: "pending" });
+        if (!contact) return res.status(404).json({ message: "Contact request not found." });
+
+        contact.status = "accepted";
+        await contact.save();
+        await contact.populate("requester", MEMBER_FIELDS);
+
+        notifyContactsChanged(contact.requester._id);
+        res.status(200).json(toRequestPayload(contact, contact.requester));
+    } catch (error) {
+        console.error("Error accepting contact request:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+// the recipient declines a request, or the requester withdraws it
+export const deleteContactRequest = async (req, res) => {
+    try {
+        const myId = req.user._id;
+        const { id } = req.params;
+        if (!mongoose.isValidObjectId(id)) return res.status(400).json({ message: "Invalid request id." });
+
+        const contact = await Contact.findOneAndDelete({
+            _id: id,
+            status: "pending",
+            $or: [{ requester: myId }, { recipient: myId }],
+        });
+        if (!contact) return res.status(404).json({ message: "Contact request not found." });
+
+        notifyContactsChanged(contact.requester.equals(myId) ? contact.recipient : contact.requester);
+        res.status(200).json({ message: "Contact request removed." });
+    } catch (error) {
+        console.error("Error removing contact request:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+export const removeContact = async (req, res) => {
+    try {
+        const myId = req.user._id;
+        const { userId } = req.params;
+        if (!mongoose.isValidObjectId(userId)) return res.status(400).json({ message: "Invalid user id." });
+
+        const contact = await findContactLink(myId, userId);
+        if (!contact || contact.status !== "accepted") return res.status(404).json({ message: "Contact not found." });
+
+        await contact.deleteOne();
+        notifyContactsChanged(userId);
+        res.status(200).json({ message: "Contact removed." });
+    } catch (error) {
+        console.error("Error removing contact:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
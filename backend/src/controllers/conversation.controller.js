@@ -0,0 +1,193 @@
+import mongoose from "mongoose";
+import { removeFile } from "../lib/storage/index.js";
+import { receiveUpload } from "../lib/upload.js";
+import Conversation from "../models/Conversation.js";
+import User from "../models/User.js";
+import { broadcastGroup, removeFromGroup } from "../lib/groups.js";
+import { getContactIds } from "../lib/contacts.js";
+import { ENV } from "../lib/env.js";
+
+// keeps only ids of existing users, without duplicates
+const findExistingUserIds = async (ids) => {
+    if (!Array.isArray(ids) || !ids.every((id) => mongoose.isValidObjectId(id))) return null;
+    const users = await User.find({ _id: { $in: [...new Set(ids.map(String))] } }).select("_id").lean();
+    return users.map((user) => user._id.toString());
+}
+
+// true when the user blocked any of the others or any of them blocked the user, so a group can't get around a block
+const hasBlockWith = async (userId, otherIds) => {
+    if (otherIds.length === 0) return false;
+    const blocked = await User.exists({
+        $or: [
+            { _id: userId, blockedUsers: { $in: otherIds } },
+            { _id: { $in: otherIds }, blockedUsers: userId },
+        ],
+    });
+    return Boolean(blocked);
+}
+
+// with contacts-only messaging on, only the user's accepted contacts can be put in a group with them
+const hasNonContacts = async (userId, otherIds) => {
+    if (ENV.CONTACTS_ONLY_MESSAGING !== "true" || otherIds.length === 0) return false;
+    const contactIds = new Set((await getContactIds(userId)).map(String));
+    return otherIds.some((id) => !contactIds.has(id.toString()));
+}
+
+const MAX_GROUP_NAME_LENGTH = Conversation.schema.path("name").options.maxlength;
+
+// an error message for a group name the client sent, null when it's fine
+const validateGroupName = (name) => {
+    if (typeof name !== "string" || !name.trim()) return "Group name is required.";
+    if (name.trim().length > MAX_GROUP_NAME_LENGTH) return `Group names can be at most ${MAX_GROUP_NAME_LENGTH} characters.`;
+    return null;
+}
+
+const findMembership = (conversationId, userId) => {
+    if (!mongoose.isValidObjectId(conversationId)) return null;
+    return Conversation.findOne({ _id: conversationId, members: userId });
+}
+
+export const createGroup = async (req, res) => {
+    try {
+        const { name, memberIds } = req.body;
+        const myId = req.user._id.toString();
+
+        const nameError = validateGroupName(name);
+        if (nameError) {
+            return res.status(400).json({ message: nameError });
+        }
+        const existingIds = await findExistingUserIds(memberIds);
+        if (!existingIds) {
+            return res.status(400).json({ message: "Invalid member list." });
+        }
+        const otherMemberIds = existingIds.filter((id) => id !== myId);
+        if (otherMemberIds.length === 0) {
+            return res.status(400).json({ message: "A group needs at least one other member." });
+        }
+        if (await hasBlockWith(myId, otherMemberIds)) {
+            return res.status(403).json({ message: "Some of these users can't be added to a group." });
+        }
+        if (await hasNonContacts(myId, otherMemberIds)) {
+            return res.status(403).json({ message: "You can only add your contacts to a group." });
+        }
+
+        const conversation = await Conversation.create({
+            name: name.trim(),
+            members: [myId, ...otherMemberIds],
+            admin: myId,
+        });
+
+        const group = await broadcastGroup(conversation);
+        res.status(201).json(group);
+    } catch (error) {
+        console.error("Error creating group:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+// a new avatar comes as the file of a multipart form, with the name alongside it if that changes too
+export const updateGroup = async (req, res) => {
+    try {
+        const conversation = await findMembership(req.params.id, req.user._id);
+        if (!conversation) return res.status(404).json({ message: "Group not found." });
+        if (!conversation.admin.equals(req.user._id)) {
+            return res.status(403).json({ message: "Only the group admin can change the group." });
+        }
+
+        let body = req.body;
+        let avatarUrl = null;
+        if (req.is("multipart/form-data")) {
+            const { fields, image, error } = await receiveUpload(req, "avatar");
+            if (error) return res.status(error.status).json({ message: error.message });
+            body = fields;
+            avatarUrl = image?.url || null;
+        }
+
+        const { name } = body;
+        if (name !== undefined) {
+            const nameError = validateGroupName(name);
+            if (nameError) {
+                await removeFile(avatarUrl);
+                return res.status(400).json({ message: nameError });
+            }
+            conversation.name = name.trim();
+        }
+        const previousAvatar = conversation.avatar;
+        if (avatarUrl) conversation.avatar = avatarUrl;
+        await conversation.save();
+        if (conversation.avatar !== previousAvatar) await removeFile(previousAvatar);
+
+        const group = await broadcastGroup(conversation);
+        res.status(200).json(group);
+    } catch (error) {
+        console.error("Error updating group:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+export const addMembers = async (req, res) => {
+    try {
+        const conversation = await findMembership(req.params.id, req.user._id);
+        if (!conversation) return res.status(404).json({ message: "Group not found." });
+        if (!conversation.admin.equals(req.user._id)) {
+            return res.status(403).json({ message: "Only the group admin can add members." });
+        }
+
+        const existingIds = await findExistingUserIds(req.body.memberIds);
+        if (!existingIds || existingIds.length === 0) {
+            return res.status(400).json({ message: "Invalid member list." });
+        }
+        const newMemberIds = existingIds.filter((id) => !conversation.members.some((memberId) => memberId.equals(id)));
+        if (await hasBlockWith(req.user._id, newMemberIds)) {
+            return res.status(403).json({ message: "Some of these users can't be added to a group." });
+        }
+        if (await hasNonContacts(req.user._id, newMemberIds)) {
+            return res.status(403).json({ message: "You can only add your contacts to a group." });
+        }
+
+        conversation.members.addToSet(...existingIds);
+        await conversation.save();
+
+        const group = await broadcastGroup(conversation);
+        res.status(200).json(group);
+    } catch (error) {
+        console.error("Error adding group members:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+export const removeMember = async (req, res) => {
+    try {
+        const { id, userId } = req.params;
+        const conversation = await findMembership(id, req.user._id);
+        if (!conversation) return res.status(404).json({ message: "Group not found." });
+        if (!conversation.admin.equals(req.user._id)) {
+            return res.status(403).json({ message: "Only the group admin can remove members." });
+        }
+        if (req.user._id.equals(userId)) {
+            return res.status(400).json({ message: "Use leave to remove yourself from a group." });
+        }
+        if (!conversation.members.some((memberId) => memberId.equals(userId))) {
+            return res.status(404).json({ message: "User is not a member of this group." });
+        }
+
+        const group = await removeFromGroup(conversation, userId);
+        res.status(200).json(group);
+    } catch (error) {
+        console.error("Error removing group member:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+export const leaveGroup = async (req, res) => {
+    try {
+        const conversation = await findMembership(req.params.id, req.user._id);
+        if (!conversation) return res.status(404).json({ message: "Group not found." });
+
+        await removeFromGroup(conversation, req.user._id);
+        res.status(200).json({ message: "Left group successfully" });
+    } catch (error) {
+        console.error("Error leaving group:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
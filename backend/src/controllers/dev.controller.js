@@ -0,0 +1,14 @@
+import { getCapturedEmail, getCapturedEmails } from "../lib/mail/capture.js";
+
+// newest first, without their bodies
+export const listCapturedEmails = (_, res) => {
+    const emails = getCapturedEmails().map(({ id, to, subject, createdAt }) => ({ id, to, subject, createdAt }));
+    res.status(200).json(emails);
+}
+
+// the email rendered as it would appear in an inbox, links included
+export const showCapturedEmail = (req, res) => {
+    const email = getCapturedEmail(req.params.id);
+    if (!email) return res.status(404).json({ message: "Email not found." });
+    res.type("html").send(email.html);
+}
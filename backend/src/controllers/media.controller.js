@@ -0,0 +1,41 @@
+import Message from "../models/Message.js";
+import { getMessageAudience } from "../lib/conversations.js";
+import { getMediaPath, getMediaUrl, isMediaKey } from "../lib/storage/local.js";
+
+// files written by the local storage driver. avatars are visible to every signed in user,
+// message images and attachments only to the chat they were sent in; anything else looks like it doesn't exist
+export const serveMedia = async (req, res) => {
+    try {
+        const { folder, file } = req.params;
+        const key = `${folder}/${file}`;
+        if (!isMediaKey(key)) return res.status(404).json({ message: "File not found." });
+
+        if (folder === "messages" || folder === "attachments") {
+            const url = getMediaUrl(key);
+            // a message image is stored as its original and two renditions
+            const filter = folder === "attachments"
+                ? { "attachment.url": url }
+                : { $or: [{ image: url }, { "imageInfo.displayUrl": url }, { "imageInfo.thumbnailUrl": url }] };
+            const message = await Message.findOne(filter)
+                .select("senderId receiverId conversationId attachment")
+                .lean();
+            const audience = message ? await getMessageAudience(message) : [];
+            if (!audience.includes(req.user._id.toString())) return res.status(404).json({ message: "File not found." });
+
+            // attachments are always downloaded under their original name, never rendered by the browser
+            if (folder === "attachments") {
+                res.attachment(message.attachment.name);
+                res.type(message.attachment.mimeType);
+            }
+        }
+
+        res.set("Cache-Control", "private, max-age=86400");
+        res.set("X-Content-Type-Options", "nosniff");
+        res.sendFile(getMediaPath(key), (error) => {
+            if (error && !res.headersSent) res.status(404).json({ message: "File not found." });
+        });
+    } catch (error) {
+        console.error("Error serving media:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
@@ -1,73 +1,339 @@
-import cloudinary from "../lib/cloudinary.js";
+import mongoose from "mongoose";
+import { removeFile } from "../lib/storage/index.js";
+import { receiveUpload } from "../lib/upload.js";
 import Message from "../models/Message.js";
 import User from "../models/User.js";
+import { emitToUser, emitToSenders, isUserOnline } from "../lib/socket.js";
+import { resolveChat, toGroupPayload, getMessageAudience, toDeletedUserPayload, groupUnreadFilter, getGroupReadMark, MEMBER_FIELDS } from "../lib/conversations.js";
+import Conversation from "../models/Conversation.js";
+import { buildSnippet, getSearchTerms } from "../lib/snippet.js";
+import { EXPORT_FORMATS, createDateFormatter, writeChatExport } from "../lib/chatExport.js";
+import { areContacts, getContactIds } from "../lib/contacts.js";
+import { ENV } from "../lib/env.js";
+
+// attach live online state to a lean user document
+const withPresence = (user) => ({ ...user, isOnline: isUserOnline(user._id) });
 
 export const getAllContacts = async (req, res) => {
   try {
     // Logic to get all contacts
     const loggedInUserId = req.user._id;
-    const filteredUsers = await User.find({ _id: { $ne: loggedInUserId } }).select("-password")
-    res.status(200).json(filteredUsers);
+    // only accepted contacts, minus users on either side of a block
+    const contactIds = await getContactIds(loggedInUserId);
+    const { blockedUsers = [] } = await User.findById(loggedInUserId).select("+blockedUsers").lean();
+    const filteredUsers = await User.find({
+      _id: { $in: contactIds, $nin: blockedUsers },
+      blockedUsers: { $ne: loggedInUserId },
+    }).select("-password").lean()
+    res.status(200).json(filteredUsers.map(withPresence));
   } catch (error) {
     console.error("Error fetching contacts:", error);
     res.status(500).json({ message: "Server error" });
   }
 }
 
+// what a client needs to render the quote block of a reply
+const REPLY_PREVIEW_FIELDS = "senderId text image imageInfo attachment deletedAt";
+
+// populated, client-safe shape of a message
+const toClientMessage = async (message) => {
+    await message.populate("replyTo", REPLY_PREVIEW_FIELDS);
+    const payload = message.toObject();
+    delete payload.editHistory;
+    return payload;
+}
+
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+
+// createdAt ties are broken by _id so pages never skip or repeat a message
+const olderThan = (cursor, inclusive = false) => ({
+    $or: [
+        { createdAt: { $lt: cursor.createdAt } },
+        { createdAt: cursor.createdAt, _id: { [inclusive ? "$lte" : "$lt"]: cursor._id } },
+    ]
+});
+
+const newerThan = (cursor) => ({
+    $or: [
+        { createdAt: { $gt: cursor.createdAt } },
+        { createdAt: cursor.createdAt, _id: { $gt: cursor._id } },
+    ]
+});
+
+// fetches one extra message to know whether the page has a continuation, returned in chronological order
+const fetchPage = async (filter, condition, direction, limit) => {
+    const sortOrder = direction === "older" ? -1 : 1;
+    const page = await Message.find(condition ? { ...filter, $and: [condition] } : filter)
+        .sort({ createdAt: sortOrder, _id: sortOrder })
+        .limit(limit + 1)
+        .populate("replyTo", REPLY_PREVIEW_FIELDS);
+
+    const hasMore = page.length > limit;
+    const messages = page.slice(0, limit);
+    return { messages: direction === "older" ? messages.reverse() : messages, hasMore };
+}
+
 export const getMessagesByUserId = async (req, res) => {
     try {
         const myId = req.user._id;
-        const {id:userToChatId} = req.params;
+        const {id: chatId} = req.params;
+        const { before, after, around } = req.query;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+        // chatId is either a partner's user id or a group conversation id
+        const chat = await resolveChat(myId, chatId);
+        if (!chat) return res.status(404).json({ message: "Chat not found." });
+        const { filter } = chat;
+
+        // before/after/around are ids of messages in this chat: older than the oldest loaded one,
+        // newer than the newest loaded one, or centred on a message to jump to
+        const cursorId = before || after || around;
+        let cursor = null;
+        if (cursorId) {
+            if (!mongoose.isValidObjectId(cursorId)) {
+                return res.status(400).json({ message: "Invalid cursor." });
+            }
+            cursor = await Message.findOne({ _id: cursorId, ...filter }).select("createdAt").lean();
+            if (!cursor) return res.status(404).json({ message: "Cursor message not found." });
+        }
 
-        const messages = await Message.find({
-            $or: [
-                { senderId: myId, receiverId: userToChatId },
-                { senderId: userToChatId, receiverId: myId },
-            ]
-        })
+        let messages = [];
+        let hasMore = false;
+        let hasNewer = false;
+        if (after) {
+            ({ messages, hasMore: hasNewer } = await fetchPage(filter, newerThan(cursor), "newer", limit));
+            hasMore = true;
+        } else if (around) {
+            const older = await fetchPage(filter, olderThan(cursor, true), "older", Math.ceil(limit / 2));
+            const newer = await fetchPage(filter, newerThan(cursor), "newer", Math.floor(limit / 2));
+            messages = [...older.messages, ...newer.messages];
+            hasMore = older.hasMore;
+            hasNewer = newer.hasMore;
+        } else {
+            ({ messages, hasMore } = await fetchPage(filter, before ? olderThan(cursor) : null, "older", limit));
+            hasNewer = Boolean(before);
+        }
 
-        res.status(200).json(messages);
+        res.status(200).json({
+            messages,
+            hasMore,
+            hasNewer,
+            nextCursor: hasMore && messages.length > 0 ? messages[0]._id : null,
+        });
     } catch (error) {
         console.log("Error fetching messages:", error.message);
         res.status(500).json({ message: "Internal server error" });
     }
 }
 
+// the whole history of a chat as one download: "html" (images inlined), "text" or "json".
+// from/to narrow it to a date range, tz is the reader's time zone for the timestamps
+export const exportConversation = async (req, res) => {
+    try {
+        const myId = req.user._id;
+        const { id: chatId } = req.params;
+        const { format = "html", from, to, tz = "UTC" } = req.query;
+
+        const exportFormat = EXPORT_FORMATS[format];
+        if (!exportFormat) {
+            return res.status(400).json({ message: "Format must be html, text or json." });
+        }
+        const range = { from: from ? new Date(from) : null, to: to ? new Date(to) : null };
+        if (Object.values(range).some((date) => date && isNaN(date))) {
+            return res.status(400).json({ message: "Invalid date range." });
+        }
+        const formatDate = createDateFormatter(tz);
+        if (!formatDate) return res.status(400).json({ message: "Invalid time zone." });
+
+        const chat = await resolveChat(myId, chatId);
+        if (!chat) return res.status(404).json({ message: "Chat not found." });
+
+        res.type(exportFormat.contentType);
+        res.attachment(`chat-${new Date().toISOString().slice(0, 10)}.${exportFormat.extension}`);
+        await writeChatExport(res, { chat, userId: myId, format, range, formatDate, timeZone: tz });
+        res.end();
+    } catch (error) {
+        console.log("Error exporting chat:", error.message);
+        // once the download started, the only way to signal failure is to cut it off
+        if (res.headersSent) return res.destroy();
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+const SEARCH_PAGE_SIZE = 20;
+
+export const searchMessages = async (req, res) => {
+    try {
+        const myId = req.user._id;
+        const { q, chatId, from, to } = req.query;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+        if (typeof q !== "string" || !q.trim()) {
+            return res.status(400).json({ message: "Search query is required." });
+        }
+
+        // only messages the caller sent or received, optionally narrowed to one chat
+        let scope;
+        if (chatId) {
+            const chat = await resolveChat(myId, chatId);
+            if (!chat) return res.status(404).json({ message: "Chat not found." });
+            scope = chat.filter;
+        } else {
+            const groups = await Conversation.find({ members: myId }).select("_id").lean();
+            scope = {
+                $or: [
+                    { senderId: myId },
+                    { receiverId: myId },
+                    { conversationId: { $in: groups.map((group) => group._id) } },
+                ]
+            };
+        }
+
+        const createdAt = {};
+        if (from) createdAt.$gte = new Date(from);
+        if (to) createdAt.$lte = new Date(to);
+        if (Object.values(createdAt).some((date) => isNaN(date))) {
+            return res.status(400).json({ message: "Invalid date range." });
+        }
+
+        const filter = {
+            ...scope,
+            $text: { $search: q },
+            deletedAt: null,
+            ...(from || to ? { createdAt } : {}),
+        };
+
+        const found = await Message.find(filter)
+            .sort({ createdAt: -1, _id: -1 })
+            .skip((page - 1) * SEARCH_PAGE_SIZE)
+            .limit(SEARCH_PAGE_SIZE + 1)
+            .lean();
+        const hasMore = found.length > SEARCH_PAGE_SIZE;
+        const matches = found.slice(0, SEARCH_PAGE_SIZE);
+
+        // attach the chat each result belongs to, so the client can open it
+        const partnerIds = matches
+            .filter((msg) => !msg.conversationId)
+            .map((msg) => (msg.senderId.equals(myId) ? msg.receiverId : msg.senderId));
+        const groupIds = matches.filter((msg) => msg.conversationId).map((msg) => msg.conversationId);
+        const partners = await User.find({ _id: { $in: partnerIds } }).select("-password").lean();
+        const groups = await Promise.all(
+            (await Conversation.find({ _id: { $in: groupIds } })).map(toGroupPayload)
+        );
+        const chatsById = new Map([...partners, ...groups].map((chat) => [chat._id.toString(), chat]));
+
+        const terms = getSearchTerms(q);
+        const results = matches.map((msg) => {
+            const chatKey = msg.conversationId || (msg.senderId.equals(myId) ? msg.receiverId : msg.senderId);
+            return {
+                _id: msg._id,
+                senderId: msg.senderId,
+                createdAt: msg.createdAt,
+                chat: chatsById.get(chatKey.toString()),
+                ...buildSnippet(msg.text, terms),
+            };
+        }).filter((result) => result.chat);
+
+        res.status(200).json({ results, page, hasMore });
+    } catch (error) {
+        console.log("Error searching messages:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+// a message body is either JSON with text only, or a multipart form with one uploaded file.
+// images come back as the result of storeImage
+const readMessageBody = async (req) => {
+    if (!req.is("multipart/form-data")) {
+        const { text, replyTo } = req.body;
+        return { text, replyTo };
+    }
+
+    const { fields, image, attachment, error } = await receiveUpload(req);
+    if (error) return { error };
+    return { text: fields.text, replyTo: fields.replyTo, image, attachment };
+}
+
+// every stored copy of an image, for cleaning up after a rejected message
+const getImageUrls = (image) => (image ? [image.url, image.displayUrl, image.thumbnailUrl] : []);
+
+// the schema's limit, checked up front so a message with a file is rejected cleanly instead of failing on save
+const MAX_TEXT_LENGTH = Message.schema.path("text").options.maxlength;
+
 export const sendMessage = async (req, res) => {
     try {
-        const { text, image } = req.body;
-        const {id: receiverId} = req.params;
+        const {id: chatId} = req.params;
         const senderId = req.user._id;
 
-        if (!text && !image) {
-            return res.status(400).json({ message: "Text or image is required." });
-        }
-        if (senderId.equals(receiverId)) {
+        if (senderId.equals(chatId)) {
             return res.status(400).json({ message: "Cannot send messages to yourself." });
         }
-        const receiverExists = await User.exists({ _id: receiverId });
-        if (!receiverExists) {
+        const chat = await resolveChat(senderId, chatId);
+        if (!chat) {
             return res.status(404).json({ message: "Receiver not found." });
         }
+        if (chat.isBlocked) {
+            return res.status(403).json({ message: "You can't message this user." });
+        }
+        if (chat.isDeleted) {
+            return res.status(403).json({ message: "This account has been deleted." });
+        }
+        // groups are covered when members are added, which only allows contacts in this mode
+        if (!chat.isGroup && ENV.CONTACTS_ONLY_MESSAGING === "true" && !(await areContacts(senderId, chatId))) {
+            return res.status(403).json({ message: "You can only message your contacts." });
+        }
 
-        let imageUrl;
+        // the chat is checked first so uploads to a chat we can't write to are never stored
+        const { text, image, attachment, replyTo, error } = await readMessageBody(req);
+        if (error) return res.status(error.status).json({ message: error.message });
 
-        if (image) {
-            // Handle image upload logic here (e.g., save to server or cloud storage)
-            const uploadResponse = await cloudinary.uploader.upload(image);
-            imageUrl = uploadResponse.url; // Replace with actual URL from upload response
+        const removeUploads = () => Promise.all([...getImageUrls(image), attachment?.url].map(removeFile));
+        const rejectMessage = async (status, message) => {
+            await removeUploads();
+            res.status(status).json({ message });
+        }
+        if (!text && !image && !attachment) {
+            return rejectMessage(400, "Text or a file is required.");
+        }
+        if (typeof text === "string" && text.trim().length > MAX_TEXT_LENGTH) {
+            return rejectMessage(400, `Messages can be at most ${MAX_TEXT_LENGTH} characters.`);
+        }
+        if (replyTo) {
+            const quotedExists = mongoose.isValidObjectId(replyTo) && await Message.exists({ _id: replyTo, ...chat.filter });
+            if (!quotedExists) {
+                return rejectMessage(400, "Replied message not found in this chat.");
+            }
         }
 
+        // in groups, receipts track the first member who got or read the message
         const newMessage = new Message({
             senderId,
-            receiverId,
+            ...chat.messageFields,
             text,
-            image: imageUrl,
+            image: image?.url,
+            imageInfo: image
+                ? { width: image.width, height: image.height, thumbnailUrl: image.thumbnailUrl, displayUrl: image.displayUrl }
+                : null,
+            attachment,
+            replyTo: replyTo || null,
+            deliveredAt: chat.recipientIds.some(isUserOnline) ? new Date() : null,
         });
 
-        const savedMessage = await newMessage.save();
+        // whatever else makes the save fail, the stored files must not be left behind
+        try {
+            await newMessage.save();
+        } catch (error) {
+            await removeUploads();
+            throw error;
+        }
+        const savedMessage = await toClientMessage(newMessage);
 
-        // todo: send message in real-time using sockets
+        // push to the receivers and to the sender's other open tabs
+        for (const recipientId of chat.recipientIds) {
+            emitToUser(recipientId, "newMessage", savedMessage);
+        }
+        emitToUser(senderId, "newMessage", savedMessage);
 
         res.status(201).json(savedMessage);
     } catch (error) {
@@ -76,30 +342,296 @@ export const sendMessage = async (req, res) => {
     }
 }
 
+// tell everyone in the chat about an edited or deleted message
+const broadcastMessageUpdate = async (message) => {
+    const payload = await toClientMessage(message);
+    const audience = await getMessageAudience(message);
+    for (const userId of audience) {
+        emitToUser(userId, "messageUpdated", payload);
+    }
+    return payload;
+}
+
+// only the sender may change a message, and deleted messages stay deleted
+const findOwnMessage = async (messageId, userId) => {
+    if (!mongoose.isValidObjectId(messageId)) return { error: { status: 400, message: "Invalid message id." } };
+    const message = await Message.findById(messageId).select("+editHistory");
+    if (!message) return { error: { status: 404, message: "Message not found." } };
+    if (!message.senderId.equals(userId)) return { error: { status: 403, message: "You can only change your own messages." } };
+    if (message.deletedAt) return { error: { status: 400, message: "Message was deleted." } };
+    return { message };
+}
+
+export const editMessage = async (req, res) => {
+    try {
+        if (req.body.text !== undefined && typeof req.body.text !== "string") {
+            return res.status(400).json({ message: "Message text must be text." });
+        }
+        const text = req.body.text?.trim();
+        if (text && text.length > MAX_TEXT_LENGTH) {
+            return res.status(400).json({ message: `Messages can be at most ${MAX_TEXT_LENGTH} characters.` });
+        }
+        const { message, error } = await findOwnMessage(req.params.id, req.user._id);
+        if (error) return res.status(error.status).json({ message: error.message });
+
+        if (!text && !message.image && !message.attachment) {
+            return res.status(400).json({ message: "Text is required." });
+        }
+        if (text === message.text) {
+            return res.status(200).json(await toClientMessage(message));
+        }
+
+        const editedAt = new Date();
+        message.editHistory.push({ text: message.text, image: message.image, editedAt });
+        message.text = text;
+        message.editedAt = editedAt;
+        await message.save();
+
+        res.status(200).json(await broadcastMessageUpdate(message));
+    } catch (error) {
+        console.log("Error editing message:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+export const deleteMessage = async (req, res) => {
+    try {
+        const { message, error } = await findOwnMessage(req.params.id, req.user._id);
+        if (error) return res.status(error.status).json({ message: error.message });
+
+        const deletedAt = new Date();
+        message.editHistory.push({ text: message.text, image: message.image, attachment: message.attachment?.toObject(), editedAt: deletedAt });
+        message.text = undefined;
+        message.image = undefined;
+        message.imageInfo = null;
+        message.attachment = null;
+        message.deletedAt = deletedAt;
+        await message.save();
+
+        res.status(200).json(await broadcastMessageUpdate(message));
+    } catch (error) {
+        console.log("Error deleting message:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+// one emoji and nothing else: a pictograph with optional skin tone, variation selector and tag characters,
+// possibly joined to more of them (e.g. families), a flag, or a keycap
+const EMOJI_PART = String.raw`(?:\p{Extended_Pictographic}[\uFE0F\p{Emoji_Modifier}]*[\u{E0020}-\u{E007E}]*\u{E007F}?)`;
+const EMOJI_REGEX = new RegExp(String.raw`^(?:${EMOJI_PART}(?:\u200D${EMOJI_PART})*|\p{Regional_Indicator}{2}|[0-9#*]\uFE0F?\u20E3)$`, "u");
+const MAX_EMOJI_LENGTH = 16;
+
+export const toggleReaction = async (req, res) => {
+    try {
+        const myId = req.user._id;
+        const { id: messageId } = req.params;
+        const { emoji } = req.body;
+
+        if (typeof emoji !== "string" || emoji.length > MAX_EMOJI_LENGTH || !EMOJI_REGEX.test(emoji)) {
+            return res.status(400).json({ message: "A single emoji is required." });
+        }
+        if (!mongoose.isValidObjectId(messageId)) {
+            return res.status(400).json({ message: "Invalid message id." });
+        }
+
+        const message = await Message.findById(messageId);
+        if (!message) return res.status(404).json({ message: "Message not found." });
+        const audience = await getMessageAudience(message);
+        if (!audience.includes(myId.toString())) {
+            return res.status(404).json({ message: "Message not found." });
+        }
+        if (message.deletedAt) return res.status(400).json({ message: "Message was deleted." });
+
+        // reacting again with the same emoji takes the reaction back
+        const reaction = message.reactions.find((r) => r.emoji === emoji);
+        if (!reaction) {
+            message.reactions.push({ emoji, userIds: [myId] });
+        } else if (reaction.userIds.some((id) => id.equals(myId))) {
+            reaction.userIds.pull(myId);
+            if (reaction.userIds.length === 0) message.reactions.pull(reaction);
+        } else {
+            reaction.userIds.push(myId);
+        }
+        await message.save();
+
+        res.status(200).json(await broadcastMessageUpdate(message));
+    } catch (error) {
+        console.log("Error toggling reaction:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+export const markConversationRead = async (req, res) => {
+    try {
+        const myId = req.user._id;
+        const { id: chatId } = req.params;
+        const { messageId } = req.body;
+
+        const chat = await resolveChat(myId, chatId);
+        if (!chat) return res.status(404).json({ message: "Chat not found." });
+
+        // read everything up to the given message, or the whole conversation if none is given
+        let upTo = new Date();
+        if (messageId) {
+            if (!mongoose.isValidObjectId(messageId)) {
+                return res.status(400).json({ message: "Invalid message id." });
+            }
+            const message = await Message.findOne({ _id: messageId, ...chat.filter });
+            if (!message) return res.status(404).json({ message: "Message not found." });
+            upTo = message.createdAt;
+        }
+
+        // in groups every member has a read mark of their own, and a message's readAt only records
+        // its first reader, for the sender's receipt
+        const unreadFilter = chat.isGroup
+            ? groupUnreadFilter(chat.conversation, myId)
+            : { ...chat.filter, senderId: { $ne: myId }, readAt: null };
+        const unread = await Message.find({
+            ...unreadFilter,
+            createdAt: { ...unreadFilter.createdAt, $lte: upTo },
+        }).select("_id senderId readAt").lean();
+        if (chat.isGroup) {
+            await Conversation.updateOne({ _id: chat.conversation._id }, { $max: { [`lastReadAt.${myId}`]: upTo } });
+        }
+        const messageIds = unread.map((msg) => msg._id);
+        if (messageIds.length === 0) return res.status(200).json({ messageIds, readAt: null });
+
+        const readAt = new Date();
+        const firstReads = unread.filter((msg) => !msg.readAt);
+        await Message.updateMany({ _id: { $in: firstReads.map((msg) => msg._id) } }, { readAt });
+        await Message.updateMany({ _id: { $in: messageIds }, deliveredAt: null }, { deliveredAt: readAt });
+
+        emitToSenders(firstReads, "messagesRead", { readAt });
+
+        res.status(200).json({ messageIds, readAt });
+    } catch (error) {
+        console.log("Error marking messages as read:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+// longest message text sent along with a chat list entry
+const PREVIEW_LENGTH = 80;
+
+// the last message of every chat matched by the filter, keyed by chatKey, plus any extra accumulators
+const summarizeChats = (filter, chatKey, accumulators = {}) => Message.aggregate([
+    { $match: filter },
+    { $sort: { createdAt: -1, _id: -1 } },
+    {
+        $group: {
+            _id: chatKey,
+            lastMessage: {
+                $first: {
+                    _id: "$_id",
+                    senderId: "$senderId",
+                    text: { $substrCP: [{ $ifNull: ["$text", ""] }, 0, PREVIEW_LENGTH] },
+                    image: "$image",
+                    attachment: "$attachment",
+                    deletedAt: "$deletedAt",
+                    createdAt: "$createdAt",
+                },
+            },
+            ...accumulators,
+        },
+    },
+]);
+
+// 1:1 messages carry their own readAt. older messages may lack the receipt fields entirely, so test for falsy rather than null
+const countDirectUnread = (myId) => ({
+    $sum: {
+        $cond: [
+            { $and: [{ $ne: ["$senderId", myId] }, { $not: ["$readAt"] }, { $not: ["$deletedAt"] }] },
+            1,
+            0,
+        ],
+    },
+});
+
+const lastActivity = (chat) => new Date(chat.lastMessage?.createdAt || chat.createdAt).getTime();
+
+// group messages are read against each member's own read mark (see groupUnreadFilter). the marks of all
+// the user's groups go into the pipeline, so one aggregation counts every group
+const countGroupUnread = (myId, conversations) => {
+    const branches = conversations
+        .map((conversation) => ({ conversationId: conversation._id, readMark: getGroupReadMark(conversation, myId) }))
+        .filter(({ readMark }) => readMark)
+        .map(({ conversationId, readMark }) => ({ case: { $eq: ["$conversationId", conversationId] }, then: readMark }));
+    return {
+        $sum: {
+            $cond: [
+                {
+                    $and: [
+                        { $ne: ["$senderId", myId] },
+                        { $not: ["$deletedAt"] },
+                        {
+                            $let: {
+                                vars: { readMark: branches.length > 0 ? { $switch: { branches, default: null } } : null },
+                                in: {
+                                    $cond: [
+                                        { $eq: ["$$readMark", null] },
+                                        { $not: ["$readAt"] },
+                                        { $gt: ["$createdAt", "$$readMark"] },
+                                    ],
+                                },
+                            },
+                        },
+                    ],
+                },
+                1,
+                0,
+            ],
+        },
+    };
+}
+
 export const getChatPartners = async (req, res) => {
     try {
-        const loggedInUserId = req.user._id;
-
-        // find messages where loggedInUserId is either sender or receiver
-        const messages = await Message.find({
-            $or: [{ senderId: loggedInUserId }, { receiverId: loggedInUserId }],
-        })
-
-        const chatPartnerIds = [
-            ...new Set(
-                messages.map((msg) =>
-                    msg.senderId.toString() === loggedInUserId.toString()
-                        ? msg.receiverId.toString()
-                        : msg.senderId.toString()
-                )
-            ),
-        ];
-
-        const chatPartners = await User.find({ _id: { $in: chatPartnerIds } }).select("-password");
-        res.status(200).json(chatPartners);
+        const myId = req.user._id;
+
+        // 1:1 chats are keyed by whoever is on the other side of the message
+        const directSummaries = await summarizeChats(
+            { conversationId: null, $or: [{ senderId: myId }, { receiverId: myId }] },
+            { $cond: [{ $eq: ["$senderId", myId] }, "$receiverId", "$senderId"] },
+            { unreadCount: countDirectUnread(myId) }
+        );
+        const partners = await User.find({ _id: { $in: directSummaries.map((summary) => summary._id) } })
+            .select("-password")
+            .lean();
+        const partnersById = new Map(partners.map((partner) => [partner._id.toString(), partner]));
+        // partners whose account is gone keep their history under a placeholder
+        const directChats = directSummaries.map(({ _id, lastMessage, unreadCount }) => ({
+            ...(partnersById.has(_id.toString())
+                ? withPresence(partnersById.get(_id.toString()))
+                : toDeletedUserPayload(_id)),
+            lastMessage,
+            unreadCount,
+        }));
+
+        // groups are listed alongside 1:1 chats, including ones without messages yet
+        const conversations = await Conversation.find({ members: myId }).populate("members", MEMBER_FIELDS);
+        const groupSummaries = await summarizeChats(
+            { conversationId: { $in: conversations.map((conversation) => conversation._id) } },
+            "$conversationId",
+            { unreadCount: countGroupUnread(myId, conversations) }
+        );
+        const summariesByGroup = new Map(groupSummaries.map((summary) => [summary._id.toString(), summary]));
+        const groupChats = await Promise.all(
+            conversations.map(async (conversation) => {
+                const summary = summariesByGroup.get(conversation._id.toString());
+                return {
+                    ...(await toGroupPayload(conversation)),
+                    lastMessage: summary?.lastMessage || null,
+                    unreadCount: summary?.unreadCount || 0,
+                };
+            })
+        );
+
+        // most recent activity first
+        const chats = [...directChats, ...groupChats].sort((a, b) => lastActivity(b) - lastActivity(a));
+        res.status(200).json(chats);
 
     } catch (error) {
         console.error("Error fetching chat partners:", error.message);
         res.status(500).json({ message: "Internal server error" });
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+import Session from "../models/Session.js";
+import { clearSessionCookies, revokeSession, revokeUserSessions } from "../lib/sessions.js";
+
+// the user's signed-in devices, most recently used first
+export const getSessions = async (req, res) => {
+    try {
+        const sessions = await Session.find({ userId: req.user._id })
+            .select("userAgent ip createdAt lastUsedAt")
+            .sort({ lastUsedAt: -1 })
+            .lean();
+        res.status(200).json(sessions.map((session) => ({ ...session, isCurrent: session._id.equals(req.sessionId) })));
+    } catch (error) {
+        console.error("Error fetching sessions:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+export const deleteSession = async (req, res) => {
+    try {
+        const { id: sessionId } = req.params;
+        if (!mongoose.isValidObjectId(sessionId)) return res.status(400).json({ message: "Invalid session id." });
+
+        const session = await Session.exists({ _id: sessionId, userId: req.user._id });
+        if (!session) return res.status(404).json({ message: "Session not found." });
+
+        await revokeSession(session._id);
+        // revoking this device is signing out
+        if (session._id.equals(req.sessionId)) clearSessionCookies(res);
+        res.status(200).json({ sessionId });
+    } catch (error) {
+        console.error("Error revoking session:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+// "sign out everywhere else"; this device stays signed in
+export const deleteOtherSessions = async (req, res) => {
+    try {
+        await revokeUserSessions(req.user._id, req.sessionId);
+        res.status(200).json({ message: "Signed out of all other sessions" });
+    } catch (error) {
+        console.error("Error revoking sessions:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
@@ -0,0 +1,91 @@
+import bcrypt from "bcryptjs";
+import QRCode from "qrcode";
+import User from "../models/User.js";
+import { generateTotpSecret, getOtpauthUri, verifyTotp } from "../lib/totp.js";
+import { TWO_FACTOR_FIELDS, resetRecoveryCodes, verifySecondFactor } from "../lib/twofactor.js";
+
+// step 1 of enrollment: a new secret to scan, which only takes effect once confirmed with a code
+export const setupTwoFactor = async (req, res) => {
+    try {
+        if (req.user.twoFactorEnabled) {
+            return res.status(400).json({ message: "Two-factor authentication is already enabled." });
+        }
+        const secret = generateTotpSecret();
+        await User.updateOne({ _id: req.user._id }, { twoFactorPendingSecret: secret });
+
+        const otpauthUri = getOtpauthUri(secret, req.user.email);
+        const qrCode = await QRCode.toDataURL(otpauthUri);
+        res.status(200).json({ secret, otpauthUri, qrCode });
+    } catch (error) {
+        console.error("Error in setupTwoFactor controller:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+// step 2: the first code proves the authenticator app has the secret; the recovery codes are only shown now
+export const enableTwoFactor = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select("+twoFactorPendingSecret");
+        if (user.twoFactorEnabled) {
+            return res.status(400).json({ message: "Two-factor authentication is already enabled." });
+        }
+        if (!user.twoFactorPendingSecret) return res.status(400).json({ message: "Start the setup first." });
+
+        const step = verifyTotp(user.twoFactorPendingSecret, req.body.code);
+        if (step === null) return res.status(400).json({ message: "Invalid code." });
+
+        user.twoFactorEnabled = true;
+        user.twoFactorSecret = user.twoFactorPendingSecret;
+        user.twoFactorPendingSecret = undefined;
+        user.twoFactorLastUsedStep = step;
+        const recoveryCodes = resetRecoveryCodes(user);
+        await user.save();
+
+        res.status(200).json({ twoFactorEnabled: true, recoveryCodes });
+    } catch (error) {
+        console.error("Error in enableTwoFactor controller:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+// turning 2fa off needs both the password and a code, so a session left open somewhere isn't enough
+export const disableTwoFactor = async (req, res) => {
+    try {
+        const { password, code } = req.body;
+        if (!password || !code) return res.status(400).json({ message: "Password and code are required." });
+
+        const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+        if (!user.twoFactorEnabled) return res.status(400).json({ message: "Two-factor authentication is not enabled." });
+
+        const isPasswordCorrect = await bcrypt.compare(password, user.password);
+        if (!isPasswordCorrect) return res.status(400).json({ message: "Incorrect password." });
+        if (!verifySecondFactor(user, code)) return res.status(400).json({ message: "Invalid code." });
+
+        user.twoFactorEnabled = false;
+        user.twoFactorSecret = undefined;
+        user.twoFactorRecoveryCodes = undefined;
+        user.twoFactorLastUsedStep = undefined;
+        await user.save();
+
+        res.status(200).json({ twoFactorEnabled: false });
+    } catch (error) {
+        console.error("Error in disableTwoFactor controller:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+// replaces all recovery codes, e.g. after some were used up or seen by someone else
+export const regenerateRecoveryCodes = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+        if (!user.twoFactorEnabled) return res.status(400).json({ message: "Two-factor authentication is not enabled." });
+        if (!verifySecondFactor(user, req.body.code)) return res.status(400).json({ message: "Invalid code." });
+
+        const recoveryCodes = resetRecoveryCodes(user);
+        await user.save();
+        res.status(200).json({ recoveryCodes });
+    } catch (error) {
+        console.error("Error in regenerateRecoveryCodes controller:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
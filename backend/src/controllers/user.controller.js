@@ -0,0 +1,142 @@
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import Contact from "../models/Contact.js";
+import { MEMBER_FIELDS, resolveChat } from "../lib/conversations.js";
+import { DIGEST_FREQUENCIES } from "../lib/digest.js";
+import { isUserOnline } from "../lib/socket.js";
+
+// what anyone signed in can see of another user
+const PROFILE_FIELDS = "fullName email profilePic bio statusMessage lastSeen";
+
+const getBlockedList = async (userId) => {
+    const user = await User.findById(userId).select("+blockedUsers").populate("blockedUsers", MEMBER_FIELDS).lean();
+    return user.blockedUsers || [];
+}
+
+const getMutedList = async (userId) => {
+    const user = await User.findById(userId).select("+mutedChats").lean();
+    return user.mutedChats || [];
+}
+
+export const getBlockedUsers = async (req, res) => {
+    try {
+        res.status(200).json(await getBlockedList(req.user._id));
+    } catch (error) {
+        console.error("Error fetching blocked users:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+export const blockUser = async (req, res) => {
+    try {
+        const myId = req.user._id;
+        const { id: userId } = req.params;
+
+        if (!mongoose.isValidObjectId(userId)) return res.status(400).json({ message: "Invalid user id." });
+        if (myId.equals(userId)) return res.status(400).json({ message: "You can't block yourself." });
+        if (!(await User.exists({ _id: userId }))) return res.status(404).json({ message: "User not found." });
+
+        // the blocked user is not told, they only see their messages rejected.
+        // pending requests between the two are dropped, accepted contacts come back on unblock
+        await User.updateOne({ _id: myId }, { $addToSet: { blockedUsers: userId } });
+        await Contact.deleteMany({
+            status: "pending",
+            $or: [
+                { requester: myId, recipient: userId },
+                { requester: userId, recipient: myId },
+            ],
+        });
+        res.status(200).json(await getBlockedList(myId));
+    } catch (error) {
+        console.error("Error blocking user:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+export const unblockUser = async (req, res) => {
+    try {
+        const myId = req.user._id;
+        const { id: userId } = req.params;
+
+        if (!mongoose.isValidObjectId(userId)) return res.status(400).json({ message: "Invalid user id." });
+
+        await User.updateOne({ _id: myId }, { $pull: { blockedUsers: userId } });
+        res.status(200).json(await getBlockedList(myId));
+    } catch (error) {
+        console.error("Error unblocking user:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+export const getMutedChats = async (req, res) => {
+    try {
+        res.status(200).json(await getMutedList(req.user._id));
+    } catch (error) {
+        console.error("Error fetching muted chats:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+export const muteChat = async (req, res) => {
+    try {
+        const myId = req.user._id;
+        const { id: chatId } = req.params;
+
+        const chat = await resolveChat(myId, chatId);
+        if (!chat) return res.status(404).json({ message: "Chat not found." });
+
+        await User.updateOne({ _id: myId }, { $addToSet: { mutedChats: chatId } });
+        res.status(200).json(await getMutedList(myId));
+    } catch (error) {
+        console.error("Error muting chat:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+// unmuting doesn't require the chat to still exist, so stale entries can be cleaned up
+export const unmuteChat = async (req, res) => {
+    try {
+        const myId = req.user._id;
+        const { id: chatId } = req.params;
+
+        if (!mongoose.isValidObjectId(chatId)) return res.status(400).json({ message: "Invalid chat id." });
+
+        await User.updateOne({ _id: myId }, { $pull: { mutedChats: chatId } });
+        res.status(200).json(await getMutedList(myId));
+    } catch (error) {
+        console.error("Error unmuting chat:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+export const updateEmailDigest = async (req, res) => {
+    try {
+        const { frequency } = req.body;
+        if (frequency !== "off" && !DIGEST_FREQUENCIES[frequency]) {
+            return res.status(400).json({ message: "Frequency must be off, hourly or daily." });
+        }
+        await User.updateOne({ _id: req.user._id }, { emailDigestFrequency: frequency });
+        res.status(200).json({ emailDigestFrequency: frequency });
+    } catch (error) {
+        console.error("Error updating email digest:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+export const getUserProfile = async (req, res) => {
+    try {
+        const { id: userId } = req.params;
+        if (!mongoose.isValidObjectId(userId)) return res.status(400).json({ message: "Invalid user id." });
+
+        // to someone they blocked, a user looks like they don't exist
+        const user = await User.findOne({ _id: userId, blockedUsers: { $ne: req.user._id } })
+            .select(PROFILE_FIELDS)
+            .lean();
+        if (!user) return res.status(404).json({ message: "User not found." });
+
+        res.status(200).json({ ...user, isOnline: isUserOnline(user._id) });
+    } catch (error) {
+        console.error("Error fetching user profile:", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
@@ -1,34 +1,72 @@
-import nodemailer from 'nodemailer';
-import { ENV } from '../lib/env.js';
-import { createWelcomeEmailTemplate } from "../emails/emailTemplates.js"; // Make sure to import your template function
-
-// Create a transporter object using the default SMTP transport
-const transporter = nodemailer.createTransport({
-  host: "smtp.gmail.com", // Example for Gmail. Use your email provider's SMTP host
-  port: 587,
-  secure: false, // Use 'true' for port 465, 'false' for other ports
-  auth: {
-    user: ENV.EMAIL_USER,
-    pass: ENV.EMAIL_PASS,
-  },
-  tls: {
-      ciphers: 'SSLv3'
-  }
-});
+import { sendMail } from '../lib/mail/index.js';
+import { createWelcomeEmailTemplate, createPasswordResetEmailTemplate, createVerificationEmailTemplate, createUnreadDigestEmailTemplate, createEmailChangeTemplate } from "../emails/emailTemplates.js"; // Make sure to import your template function
 
 export const sendWelcomeEmail = async (email, name, clientURL) => {
   try {
-    const mailOptions = {
-      from: `${ENV.EMAIL_FROM_NAME} <${ENV.EMAIL_USER}>`,
+    const info = await sendMail({
       to: email,
       subject: "Welcome to BradChat!",
       html: createWelcomeEmailTemplate(name, clientURL),
-    };
-
-    const info = await transporter.sendMail(mailOptions);
-    console.log("Welcome email sent successfully:", info.response);
+    });
+    console.log("Welcome email sent successfully:", info.id);
   } catch (error) {
     console.error("Error sending welcome email:", error);
     throw new Error("Failed to send welcome email");
   }
-};
\ No newline at end of file
+};
+
+export const sendPasswordResetEmail = async (email, name, resetURL, expiresInMinutes) => {
+  try {
+    const info = await sendMail({
+      to: email,
+      subject: "Reset your BradChat password",
+      html: createPasswordResetEmailTemplate(name, resetURL, expiresInMinutes),
+    });
+    console.log("Password reset email sent successfully:", info.id);
+  } catch (error) {
+    console.error("Error sending password reset email:", error);
+    throw new Error("Failed to send password reset email");
+  }
+};
+
+export const sendVerificationEmail = async (email, name, verifyURL, expiresInHours) => {
+  try {
+    const info = await sendMail({
+      to: email,
+      subject: "Verify your BradChat email",
+      html: createVerificationEmailTemplate(name, verifyURL, expiresInHours),
+    });
+    console.log("Verification email sent successfully:", info.id);
+  } catch (error) {
+    console.error("Error sending verification email:", error);
+    throw new Error("Failed to send verification email");
+  }
+};
+
+export const sendUnreadDigestEmail = async (email, name, chats, totalUnread, clientURL) => {
+  try {
+    const info = await sendMail({
+      to: email,
+      subject: `You have ${totalUnread} unread message${totalUnread === 1 ? "" : "s"} on BradChat`,
+      html: createUnreadDigestEmailTemplate(name, chats, totalUnread, clientURL),
+    });
+    console.log("Unread digest email sent successfully:", info.id);
+  } catch (error) {
+    console.error("Error sending unread digest email:", error);
+    throw new Error("Failed to send unread digest email");
+  }
+};
+
+export const sendEmailChangeEmail = async (email, name, confirmURL, expiresInMinutes) => {
+  try {
+    const info = await sendMail({
+      to: email,
+      subject: "Confirm your new BradChat email",
+      html: createEmailChangeTemplate(name, confirmURL, email, expiresInMinutes),
+    });
+    console.log("Email change confirmation sent successfully:", info.id);
+  } catch (error) {
+    console.error("Error sending email change confirmation:", error);
+    throw new Error("Failed to send email change confirmation");
+  }
+};
@@ -1,3 +1,7 @@
+// message texts and names are typed by users, so they are escaped before going into an email or exported chat
+export const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
+
 export function createWelcomeEmailTemplate(name, clientURL) {
   return `
   <!DOCTYPE html>
@@ -47,4 +51,151 @@ export function createWelcomeEmailTemplate(name, clientURL) {
   </body>
   </html>
   `;
-}
\ No newline at end of file
+}
+
+export function createPasswordResetEmailTemplate(name, resetURL, expiresInMinutes) {
+  return `
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Reset your BradChat password</title>
+  </head>
+  <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f5f5f5;">
+    <div style="background: linear-gradient(to right, #36D1DC, #5B86E5); padding: 30px; text-align: center; border-radius: 12px 12px 0 0;">
+      <h1 style="color: white; margin: 0; font-size: 28px; font-weight: 500;">Reset your password</h1>
+    </div>
+    <div style="background-color: #ffffff; padding: 35px; border-radius: 0 0 12px 12px; box-shadow: 0 4px 15px rgba(0,0,0,0.05);">
+      <p style="font-size: 18px; color: #5B86E5;"><strong>Hello ${escapeHtml(name)},</strong></p>
+      <p>We received a request to reset the password of your BradChat account. Click the button below to choose a new one.</p>
+
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${resetURL}" style="background: linear-gradient(to right, #36D1DC, #5B86E5); color: white; text-decoration: none; padding: 12px 30px; border-radius: 50px; font-weight: 500; display: inline-block;">Reset password</a>
+      </div>
+
+      <p>This link can be used once and expires in ${expiresInMinutes} minutes. Resetting your password signs you out on all your devices.</p>
+      <p>If you didn't ask for a reset, you can safely ignore this email. Your password won't change.</p>
+
+      <p style="margin-top: 25px; margin-bottom: 0;">Best regards,<br>The BradChat Team</p>
+    </div>
+
+    <div style="text-align: center; padding: 20px; color: #999; font-size: 12px;">
+      <p>© 2025 BradChat. All rights reserved.</p>
+    </div>
+  </body>
+  </html>
+  `;
+}
+
+export function createVerificationEmailTemplate(name, verifyURL, expiresInHours) {
+  return `
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Verify your BradChat email</title>
+  </head>
+  <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f5f5f5;">
+    <div style="background: linear-gradient(to right, #36D1DC, #5B86E5); padding: 30px; text-align: center; border-radius: 12px 12px 0 0;">
+      <h1 style="color: white; margin: 0; font-size: 28px; font-weight: 500;">Confirm your email</h1>
+    </div>
+    <div style="background-color: #ffffff; padding: 35px; border-radius: 0 0 12px 12px; box-shadow: 0 4px 15px rgba(0,0,0,0.05);">
+      <p style="font-size: 18px; color: #5B86E5;"><strong>Hello ${escapeHtml(name)},</strong></p>
+      <p>Thanks for signing up for BradChat! Please confirm that this is your email address so you can start messaging.</p>
+
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${verifyURL}" style="background: linear-gradient(to right, #36D1DC, #5B86E5); color: white; text-decoration: none; padding: 12px 30px; border-radius: 50px; font-weight: 500; display: inline-block;">Verify email</a>
+      </div>
+
+      <p>This link expires in ${expiresInHours} hours. You can request a new one from the app at any time.</p>
+      <p>If you didn't create a BradChat account, you can safely ignore this email.</p>
+
+      <p style="margin-top: 25px; margin-bottom: 0;">Best regards,<br>The BradChat Team</p>
+    </div>
+
+    <div style="text-align: center; padding: 20px; color: #999; font-size: 12px;">
+      <p>© 2025 BradChat. All rights reserved.</p>
+    </div>
+  </body>
+  </html>
+  `;
+}
+
+export function createUnreadDigestEmailTemplate(name, chats, totalUnread, clientURL) {
+  const chatRows = chats.map((chat) => `
+      <div style="background-color: #f8f9fa; padding: 15px 20px; border-radius: 10px; margin: 0 0 15px 0; border-left: 4px solid #36D1DC;">
+        <p style="margin: 0 0 8px 0;"><strong>${escapeHtml(chat.name)}</strong> <span style="color: #999;">· ${chat.unreadCount} unread</span></p>
+        ${chat.previews.map((preview) => `
+        <p style="margin: 0 0 4px 0; color: #555;">${preview.senderName ? `<strong>${escapeHtml(preview.senderName)}:</strong> ` : ""}${escapeHtml(preview.text)}</p>`).join("")}
+      </div>`).join("");
+
+  return `
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>You have unread messages on BradChat</title>
+  </head>
+  <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f5f5f5;">
+    <div style="background: linear-gradient(to right, #36D1DC, #5B86E5); padding: 30px; text-align: center; border-radius: 12px 12px 0 0;">
+      <h1 style="color: white; margin: 0; font-size: 28px; font-weight: 500;">You have ${totalUnread} unread message${totalUnread === 1 ? "" : "s"}</h1>
+    </div>
+    <div style="background-color: #ffffff; padding: 35px; border-radius: 0 0 12px 12px; box-shadow: 0 4px 15px rgba(0,0,0,0.05);">
+      <p style="font-size: 18px; color: #5B86E5;"><strong>Hello ${escapeHtml(name)},</strong></p>
+      <p>Here's what you missed while you were away:</p>
+      ${chatRows}
+
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${clientURL}" style="background: linear-gradient(to right, #36D1DC, #5B86E5); color: white; text-decoration: none; padding: 12px 30px; border-radius: 50px; font-weight: 500; display: inline-block;">Open BradChat</a>
+      </div>
+
+      <p style="color: #999; font-size: 14px;">You can change how often you get these emails, or turn them off, in your BradChat email settings.</p>
+
+      <p style="margin-top: 25px; margin-bottom: 0;">Best regards,<br>The BradChat Team</p>
+    </div>
+
+    <div style="text-align: center; padding: 20px; color: #999; font-size: 12px;">
+      <p>© 2025 BradChat. All rights reserved.</p>
+    </div>
+  </body>
+  </html>
+  `;
+}
+
+export function createEmailChangeTemplate(name, confirmURL, newEmail, expiresInMinutes) {
+  return `
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Confirm your new BradChat email</title>
+  </head>
+  <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f5f5f5;">
+    <div style="background: linear-gradient(to right, #36D1DC, #5B86E5); padding: 30px; text-align: center; border-radius: 12px 12px 0 0;">
+      <h1 style="color: white; margin: 0; font-size: 28px; font-weight: 500;">Confirm your new email</h1>
+    </div>
+    <div style="background-color: #ffffff; padding: 35px; border-radius: 0 0 12px 12px; box-shadow: 0 4px 15px rgba(0,0,0,0.05);">
+      <p style="font-size: 18px; color: #5B86E5;"><strong>Hello ${escapeHtml(name)},</strong></p>
+      <p>You asked to change the email address of your BradChat account to <strong>${escapeHtml(newEmail)}</strong>. Click the button below to confirm.</p>
+
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${confirmURL}" style="background: linear-gradient(to right, #36D1DC, #5B86E5); color: white; text-decoration: none; padding: 12px 30px; border-radius: 50px; font-weight: 500; display: inline-block;">Confirm email</a>
+      </div>
+
+      <p>This link expires in ${expiresInMinutes} minutes. Until then, you keep signing in with your current address.</p>
+      <p>If you didn't ask for this, you can safely ignore this email.</p>
+
+      <p style="margin-top: 25px; margin-bottom: 0;">Best regards,<br>The BradChat Team</p>
+    </div>
+
+    <div style="text-align: center; padding: 20px; color: #999; font-size: 12px;">
+      <p>© 2025 BradChat. All rights reserved.</p>
+    </div>
+  </body>
+  </html>
+  `;
+}
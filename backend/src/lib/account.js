@@ -0,0 +1,248 @@
+import path from "path";
+import Contact from "../models/Contact.js";
+import Conversation from "../models/Conversation.js";
+import Message from "../models/Message.js";
+import User from "../models/User.js";
+import { openFileStream, removeFile } from "./storage/index.js";
+import { emitToUser } from "./socket.js";
+import { removeFromGroup } from "./groups.js";
+import { revokeUserSessions } from "./sessions.js";
+import { getReactions } from "./chatExport.js";
+
+const DELETED_USER_NAME = "Deleted user";
+
+// ids of everyone the user has a 1:1 history with
+const getDirectPartnerIds = async (userId) => {
+    const [sentTo, receivedFrom] = await Promise.all([
+        Message.distinct("receiverId", { senderId: userId, conversationId: null }),
+        Message.distinct("senderId", { receiverId: userId, conversationId: null }),
+    ]);
+    return [...new Set([...sentTo, ...receivedFrom].map(String))];
+}
+
+// safe for a path inside the archive, e.g. "Q3 report.pdf" -> "Q3_report.pdf"
+const toArchiveName = (name) => name.replace(/[^\w.-]+/g, "_").slice(0, 100) || "file";
+
+// adds one entry and waits until the archive consumed it, so only one stored file is open at a time
+const appendEntry = (archive, source, name) => new Promise((resolve, reject) => {
+    const onError = (error) => {
+        archive.off("entry", onEntry);
+        reject(error);
+    };
+    const onEntry = () => {
+        archive.off("error", onError);
+        resolve();
+    };
+    archive.once("entry", onEntry);
+    archive.once("error", onError);
+    archive.append(source, { name });
+});
+
+const writeJson = (archive, name, data) => appendEntry(archive, JSON.stringify(data, null, 2), name);
+
+// copies stored files into media/ once each and maps their urls to archive paths.
+// a file that can't be read any more is left out and its url maps to null
+const createMediaWriter = (archive) => {
+    const paths = new Map();
+    return async (url, fileName) => {
+        if (!url) return null;
+        if (paths.has(url)) return paths.get(url);
+
+        let entryPath = null;
+        try {
+            const stream = await openFileStream(url);
+            entryPath = `media/${paths.size + 1}-${toArchiveName(fileName || path.basename(new URL(url).pathname))}`;
+            await appendEntry(archive, stream, entryPath);
+        } catch (error) {
+            console.error("Error exporting stored file:", error.message);
+            entryPath = null;
+        }
+        paths.set(url, entryPath);
+        return entryPath;
+    };
+}
+
+const toExportMessage = async (msg, userId, names, writeMedia) => ({
+    _id: msg._id,
+    senderId: msg.senderId,
+    sender: msg.senderId.equals(userId) ? "You" : names.get(msg.senderId.toString()) || DELETED_USER_NAME,
+    text: msg.text || "",
+    image: await writeMedia(msg.image),
+    attachment: msg.attachment && {
+        name: msg.attachment.name,
+        size: msg.attachment.size,
+        mimeType: msg.attachment.mimeType,
+        file: await writeMedia(msg.attachment.url, msg.attachment.name),
+    },
+    replyTo: msg.replyTo,
+    reactions: getReactions(msg).map((reaction) => ({
+        emoji: reaction.emoji,
+        users: reaction.userIds.map((id) => (id.equals(userId) ? "You" : names.get(id.toString()) || DELETED_USER_NAME)),
+    })),
+    createdAt: msg.createdAt,
+    editedAt: msg.editedAt,
+    deletedAt: msg.deletedAt,
+});
+
+// one chat's messages, oldest first, with their files copied alongside
+const writeChat = async (archive, entryName, chat, filter, userId, writeMedia) => {
+    const messages = await Message.find(filter).sort({ createdAt: 1, _id: 1 }).lean();
+    const participantIds = new Set(messages.flatMap((msg) => [msg.senderId, ...getReactions(msg).flatMap((reaction) => reaction.userIds)]).map(String));
+    const users = await User.find({ _id: { $in: [...participantIds] } }).select("fullName").lean();
+    const names = new Map(users.map((user) => [user._id.toString(), user.fullName]));
+
+    const exported = [];
+    for (const msg of messages) {
+        exported.push(await toExportMessage(msg, userId, names, writeMedia));
+    }
+    await writeJson(archive, entryName, { ...chat, messages: exported });
+}
+
+// writes everything stored about a user into a zip archive: profile.json, contacts.json,
+// one file per chat under chats/ and the files they sent or received under media/
+export const writeAccountData = async (userId, archive) => {
+    const user = await User.findById(userId).select("+blockedUsers +mutedChats").lean();
+    const writeMedia = createMediaWriter(archive);
+
+    await writeJson(archive, "profile.json", {
+        _id: user._id,
+        fullName: user.fullName,
+        email: user.email,
+        emailVerified: user.emailVerified !== false,
+        bio: user.bio || "",
+        statusMessage: user.statusMessage || "",
+        profilePic: await writeMedia(user.profilePic),
+        emailDigestFrequency: user.emailDigestFrequency,
+        twoFactorEnabled: Boolean(user.twoFactorEnabled),
+        blockedUsers: user.blockedUsers || [],
+        mutedChats: user.mutedChats || [],
+        lastSeen: user.lastSeen,
+        createdAt: user.createdAt,
+        exportedAt: new Date(),
+    });
+
+    const contacts = await Contact.find({ $or: [{ requester: userId }, { recipient: userId }] })
+        .populate("requester recipient", "fullName email")
+        .lean();
+    await writeJson(archive, "contacts.json", contacts.map((contact) => {
+        const isRequester = contact.requester?._id.equals(userId);
+        const other = isRequester ? contact.recipient : contact.requester;
+        return {
+            userId: other?._id ?? null,
+            fullName: other?.fullName ?? DELETED_USER_NAME,
+            email: other?.email ?? "",
+            status: contact.status,
+            direction: isRequester ? "sent" : "received",
+            createdAt: contact.createdAt,
+        };
+    }));
+
+    const partnerIds = await getDirectPartnerIds(userId);
+    const partners = await User.find({ _id: { $in: partnerIds } }).select("fullName email").lean();
+    const partnersById = new Map(partners.map((partner) => [partner._id.toString(), partner]));
+    for (const partnerId of partnerIds) {
+        const partner = partnersById.get(partnerId);
+        await writeChat(
+            archive,
+            `chats/direct-${partnerId}.json`,
+            { type: "direct", partnerId, partnerName: partner?.fullName ?? DELETED_USER_NAME, partnerEmail: partner?.email ?? "" },
+            {
+                conversationId: null,
+                $or: [
+                    { senderId: userId, receiverId: partnerId },
+                    { senderId: partnerId, receiverId: userId },
+                ],
+            },
+            userId,
+            writeMedia
+        );
+    }
+
+    const conversations = await Conversation.find({ members: userId }).populate("members", "fullName").lean();
+    for (const conversation of conversations) {
+        await writeChat(
+            archive,
+            `chats/group-${conversation._id}.json`,
+            {
+                type: "group",
+                conversationId: conversation._id,
+                name: conversation.name,
+                avatar: await writeMedia(conversation.avatar),
+                members: conversation.members.map((member) => member.fullName),
+                createdAt: conversation.createdAt,
+            },
+            { conversationId: conversation._id },
+            userId,
+            writeMedia
+        );
+    }
+}
+
+// removes a user for good. their messages stay in other people's histories without any files,
+// edit history or reactions of theirs, and are shown under a placeholder name from then on
+export const deleteUserAccount = async (userId) => {
+    const user = await User.findById(userId).lean();
+    if (!user) return;
+
+    const conversations = await Conversation.find({ members: userId });
+    for (const conversation of conversations) {
+        await removeFromGroup(conversation, userId);
+    }
+
+    // files the user uploaded; messages that were nothing but a file become tombstones
+    const withFiles = await Message.find({
+        senderId: userId,
+        $or: [{ image: { $nin: [null, ""] } }, { attachment: { $ne: null } }],
+    }).select("image imageInfo attachment").lean();
+    await Promise.all(
+        withFiles
+            .flatMap((msg) => [msg.image, msg.imageInfo?.displayUrl, msg.imageInfo?.thumbnailUrl, msg.attachment?.url])
+            .map(removeFile)
+    );
+    await Message.updateMany(
+        { _id: { $in: withFiles.map((msg) => msg._id) }, text: { $in: [null, ""] } },
+        { deletedAt: new Date() }
+    );
+    await Message.updateMany(
+        { senderId: userId },
+        { $set: { image: null, imageInfo: null, attachment: null, editHistory: [] } }
+    );
+
+    await Message.updateMany({ "reactions.userIds": userId }, { $pull: { "reactions.$[].userIds": userId } });
+    await Message.updateMany({ "reactions.userIds": { $size: 0 } }, { $pull: { reactions: { userIds: { $size: 0 } } } });
+
+    // 1:1 histories whose other side is already gone are seen by nobody any more
+    const partnerIds = await getDirectPartnerIds(userId);
+    const remainingPartners = await User.find({ _id: { $in: partnerIds } }).select("_id").lean();
+    const remainingIds = new Set(remainingPartners.map((partner) => partner._id.toString()));
+    const orphanedIds = partnerIds.filter((id) => !remainingIds.has(id));
+    if (orphanedIds.length > 0) {
+        await Message.deleteMany({
+            conversationId: null,
+            $or: [
+                { senderId: userId, receiverId: { $in: orphanedIds } },
+                { senderId: { $in: orphanedIds }, receiverId: userId },
+            ],
+        });
+    }
+
+    const contacts = await Contact.find({ $or: [{ requester: userId }, { recipient: userId }] }).lean();
+    await Contact.deleteMany({ _id: { $in: contacts.map((contact) => contact._id) } });
+    for (const contact of contacts) {
+        emitToUser(contact.requester.equals(userId) ? contact.recipient : contact.requester, "contactsChanged", {});
+    }
+
+    await User.updateMany(
+        { $or: [{ blockedUsers: userId }, { mutedChats: userId }] },
+        { $pull: { blockedUsers: userId, mutedChats: userId } }
+    );
+
+    await removeFile(user.profilePic);
+    await revokeUserSessions(userId);
+    await User.deleteOne({ _id: userId });
+
+    // open chats with the user turn read-only
+    for (const partnerId of remainingIds) {
+        emitToUser(partnerId, "userDeleted", { userId });
+    }
+}
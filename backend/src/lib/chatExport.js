@@ -0,0 +1,272 @@
+import Message from "../models/Message.js";
+import User from "../models/User.js";
+import { openFileStream } from "./storage/index.js";
+import { detectImageType } from "./images.js";
+import { escapeHtml } from "../emails/emailTemplates.js";
+
+const DELETED_USER_NAME = "Deleted user";
+const DELETED_MESSAGE_TEXT = "This message was deleted";
+
+export const EXPORT_FORMATS = {
+    html: { extension: "html", contentType: "text/html; charset=utf-8" },
+    text: { extension: "txt", contentType: "text/plain; charset=utf-8" },
+    json: { extension: "json", contentType: "application/json; charset=utf-8" },
+};
+
+// "2026-10-19 14:03" in the reader's time zone; null for a zone Intl doesn't know.
+// the Swedish locale is used only because it formats dates the ISO way
+export const createDateFormatter = (timeZone) => {
+    try {
+        const formatter = new Intl.DateTimeFormat("sv-SE", {
+            timeZone,
+            year: "numeric",
+            month: "2-digit",
+            day: "2-digit",
+            hour: "2-digit",
+            minute: "2-digit",
+        });
+        return (date) => formatter.format(date);
+    } catch {
+        return null;
+    }
+}
+
+const formatFileSize = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    const units = ["KB", "MB", "GB"];
+    let size = bytes / 1024;
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+        size /= 1024;
+        unit++;
+    }
+    return `${size.toFixed(1)} ${units[unit]}`;
+}
+
+// waits for the client to catch up when the response buffer is full, so long chats never pile up in memory
+const write = async (out, chunk) => {
+    if (out.destroyed) throw new Error("Client closed the export");
+    if (out.write(chunk)) return;
+    await new Promise((resolve) => {
+        const done = () => {
+            out.off("drain", done);
+            out.off("close", done);
+            resolve();
+        };
+        out.on("drain", done);
+        out.on("close", done);
+    });
+}
+
+// the image as a data uri, so the html file stands on its own; the display rendition keeps it small
+const toInlineImage = async (msg) => {
+    try {
+        const stream = await openFileStream(msg.imageInfo?.displayUrl || msg.image);
+        const chunks = [];
+        for await (const chunk of stream) chunks.push(chunk);
+        const buffer = Buffer.concat(chunks);
+        const mimeType = detectImageType(buffer);
+        return mimeType ? `data:${mimeType};base64,${buffer.toString("base64")}` : null;
+    } catch (error) {
+        console.error("Error inlining exported image:", error.message);
+        return null;
+    }
+}
+
+// title and participants of the chat, and the names of everyone who ever wrote in it
+const describeChat = async (chat, userId, filter) => {
+    const senderIds = await Message.distinct("senderId", filter);
+    let title;
+    let participantIds;
+    if (chat.isGroup) {
+        title = chat.conversation.name;
+        participantIds = chat.conversation.members;
+    } else {
+        participantIds = [userId, chat.messageFields.receiverId];
+    }
+
+    const users = await User.find({ _id: { $in: [...participantIds, ...senderIds] } }).select("fullName").lean();
+    const names = new Map(users.map((user) => [user._id.toString(), user.fullName]));
+    const getName = (id) => names.get(id.toString()) || DELETED_USER_NAME;
+
+    if (!chat.isGroup) title = `Chat with ${getName(chat.messageFields.receiverId)}`;
+    return { title, participants: participantIds.map(getName), getName };
+}
+
+const describePeriod = ({ from, to }, formatDate) => {
+    if (from && to) return `${formatDate(from)} to ${formatDate(to)}`;
+    if (from) return `since ${formatDate(from)}`;
+    if (to) return `until ${formatDate(to)}`;
+    return "entire conversation";
+}
+
+const describeReply = (reply, getName) => {
+    if (!reply) return null;
+    const content = reply.deletedAt
+        ? DELETED_MESSAGE_TEXT
+        : reply.text || (reply.image ? "Photo" : reply.attachment?.name || "");
+    return { sender: getName(reply.senderId), content };
+}
+
+// a message's reactions as read with lean(), which skips schema defaults: messages stored before
+// reactions existed have no reactions field at all
+export const getReactions = (msg) => msg.reactions || [];
+
+const describeReactions = (msg, getName) =>
+    getReactions(msg).map((reaction) => ({ emoji: reaction.emoji, users: reaction.userIds.map(getName) }));
+
+const textFormat = {
+    start: ({ title, participants, period, exportedAt, timeZone }) =>
+        `${title}\nParticipants: ${participants.join(", ")}\nPeriod: ${period}\nExported: ${exportedAt} (${timeZone})\n\n`,
+
+    message: async (msg, { getName, formatDate }) => {
+        const lines = [];
+        const reply = describeReply(msg.replyTo, getName);
+        if (reply) lines.push(`> ${reply.sender}: ${reply.content}`);
+        if (msg.deletedAt) {
+            lines.push(`(${DELETED_MESSAGE_TEXT})`);
+        } else {
+            if (msg.text) lines.push(...msg.text.split("\n"));
+            if (msg.image) lines.push("[Photo]");
+            if (msg.attachment) lines.push(`[File: ${msg.attachment.name}, ${formatFileSize(msg.attachment.size)}]`);
+        }
+        const reactions = describeReactions(msg, getName);
+        if (reactions.length > 0) {
+            lines.push(`Reactions: ${reactions.map(({ emoji, users }) => `${emoji} ${users.join(", ")}`).join("; ")}`);
+        }
+
+        const edited = msg.editedAt && !msg.deletedAt ? " (edited)" : "";
+        const header = `[${formatDate(msg.createdAt)}] ${getName(msg.senderId)}${edited}:`;
+        // continuation lines are indented so each message stays one block; a quote starts on its own line
+        return `${header}${reply ? "\n    " : " "}${lines.join("\n    ")}\n`;
+    },
+
+    end: () => "",
+};
+
+const HTML_STYLES = `
+    body { font-family: Arial, sans-serif; max-width: 760px; margin: 0 auto; padding: 24px; color: #222; }
+    header { border-bottom: 1px solid #ddd; margin-bottom: 16px; }
+    header p { margin: 4px 0; color: #666; font-size: 14px; }
+    .message { padding: 8px 0; border-bottom: 1px solid #f0f0f0; }
+    .meta { font-size: 13px; color: #666; margin-bottom: 4px; }
+    .meta strong { color: #222; }
+    .text { white-space: pre-wrap; margin: 0; }
+    .deleted { color: #999; font-style: italic; margin: 0; }
+    blockquote { margin: 0 0 4px 0; padding: 2px 8px; border-left: 3px solid #0891b2; color: #555; font-size: 13px; }
+    img { display: block; max-width: 360px; max-height: 360px; margin-top: 4px; border-radius: 6px; }
+    .file, .reactions { font-size: 13px; color: #555; margin: 4px 0 0 0; }
+`;
+
+const htmlFormat = {
+    start: ({ title, participants, period, exportedAt, timeZone }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)}</title>
+  <style>${HTML_STYLES}</style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(title)}</h1>
+    <p>Participants: ${escapeHtml(participants.join(", "))}</p>
+    <p>Period: ${escapeHtml(period)}</p>
+    <p>Exported: ${escapeHtml(exportedAt)} (${escapeHtml(timeZone)})</p>
+  </header>
+`,
+
+    message: async (msg, { getName, formatDate }) => {
+        const parts = [];
+        const edited = msg.editedAt && !msg.deletedAt ? " · edited" : "";
+        parts.push(`<div class="meta"><strong>${escapeHtml(getName(msg.senderId))}</strong> · ${formatDate(msg.createdAt)}${edited}</div>`);
+
+        const reply = describeReply(msg.replyTo, getName);
+        if (reply) parts.push(`<blockquote>${escapeHtml(reply.sender)}: ${escapeHtml(reply.content)}</blockquote>`);
+
+        if (msg.deletedAt) {
+            parts.push(`<p class="deleted">${DELETED_MESSAGE_TEXT}</p>`);
+        } else {
+            if (msg.text) parts.push(`<p class="text">${escapeHtml(msg.text)}</p>`);
+            if (msg.image) {
+                const src = await toInlineImage(msg);
+                parts.push(src ? `<img src="${src}" alt="Photo">` : `<p class="file">[Photo no longer available]</p>`);
+            }
+            if (msg.attachment) {
+                parts.push(`<p class="file">📎 ${escapeHtml(msg.attachment.name)} (${formatFileSize(msg.attachment.size)})</p>`);
+            }
+        }
+
+        const reactions = describeReactions(msg, getName);
+        if (reactions.length > 0) {
+            const list = reactions.map(({ emoji, users }) => `<span title="${escapeHtml(users.join(", "))}">${escapeHtml(emoji)} ${users.length}</span>`);
+            parts.push(`<p class="reactions">${list.join(" ")}</p>`);
+        }
+        return `  <div class="message">\n    ${parts.join("\n    ")}\n  </div>\n`;
+    },
+
+    end: () => "</body>\n</html>\n",
+};
+
+// a JSON document written piece by piece: the chat's details, then one array entry per message
+const jsonFormat = {
+    start: ({ title, participants, period, exportedAt, timeZone, range }) =>
+        `{\n"chat": ${JSON.stringify({ title, participants, period, from: range.from ?? null, to: range.to ?? null, exportedAt, timeZone })},\n"messages": [\n`,
+
+    message: async (msg, { getName, isFirst }) => {
+        const entry = {
+            _id: msg._id,
+            senderId: msg.senderId,
+            sender: getName(msg.senderId),
+            text: msg.text || "",
+            image: msg.image || null,
+            attachment: msg.attachment
+                ? { name: msg.attachment.name, size: msg.attachment.size, mimeType: msg.attachment.mimeType, url: msg.attachment.url }
+                : null,
+            replyTo: msg.replyTo?._id ?? null,
+            reactions: describeReactions(msg, getName),
+            createdAt: msg.createdAt,
+            editedAt: msg.editedAt,
+            deletedAt: msg.deletedAt,
+        };
+        return `${isFirst ? "" : ",\n"}${JSON.stringify(entry)}`;
+    },
+
+    end: () => "\n]\n}\n",
+};
+
+const FORMATTERS = { html: htmlFormat, text: textFormat, json: jsonFormat };
+
+// streams every message of a resolved chat within range ({ from, to } dates, either optional), oldest first
+export const writeChatExport = async (out, { chat, userId, format, range, formatDate, timeZone }) => {
+    const formatter = FORMATTERS[format];
+    const createdAt = {};
+    if (range.from) createdAt.$gte = range.from;
+    if (range.to) createdAt.$lte = range.to;
+    const filter = { ...chat.filter, ...(range.from || range.to ? { createdAt } : {}) };
+
+    const { title, participants, getName } = await describeChat(chat, userId, chat.filter);
+    await write(out, formatter.start({
+        title,
+        participants,
+        period: describePeriod(range, formatDate),
+        exportedAt: formatDate(new Date()),
+        timeZone,
+        range,
+    }));
+
+    const cursor = Message.find(filter)
+        .sort({ createdAt: 1, _id: 1 })
+        .populate("replyTo", "senderId text image attachment deletedAt")
+        .lean()
+        .cursor();
+    let isFirst = true;
+    try {
+        for await (const msg of cursor) {
+            await write(out, await formatter.message(msg, { getName, formatDate, isFirst }));
+            isFirst = false;
+        }
+    } finally {
+        await cursor.close();
+    }
+    await write(out, formatter.end());
+}
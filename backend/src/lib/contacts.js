@@ -0,0 +1,25 @@
+import Contact from "../models/Contact.js";
+
+// matches the link between two users, whichever of them sent the request
+const betweenUsers = (userId, otherId) => ({
+    $or: [
+        { requester: userId, recipient: otherId },
+        { requester: otherId, recipient: userId },
+    ],
+});
+
+export const findContactLink = (userId, otherId) => Contact.findOne(betweenUsers(userId, otherId));
+
+export const areContacts = async (userId, otherId) => {
+    const contact = await Contact.exists({ ...betweenUsers(userId, otherId), status: "accepted" });
+    return Boolean(contact);
+}
+
+// ids of everyone who accepted a request from the user or whose request the user accepted
+export const getContactIds = async (userId) => {
+    const contacts = await Contact.find({
+        status: "accepted",
+        $or: [{ requester: userId }, { recipient: userId }],
+    }).lean();
+    return contacts.map((contact) => (contact.requester.equals(userId) ? contact.recipient : contact.requester));
+}
@@ -0,0 +1,113 @@
+import mongoose from "mongoose";
+import Conversation from "../models/Conversation.js";
+import Message from "../models/Message.js";
+import User from "../models/User.js";
+
+// fields of a member that are safe to send along with a group
+export const MEMBER_FIELDS = "fullName email profilePic lastSeen";
+
+// true when either user has blocked the other
+export const isBlockedBetween = async (userId, otherId) => {
+    const blocked = await User.exists({
+        $or: [
+            { _id: userId, blockedUsers: otherId },
+            { _id: otherId, blockedUsers: userId },
+        ],
+    });
+    return Boolean(blocked);
+}
+
+// resolves a chat id from a route into a group the user belongs to or a 1:1 partner, null if neither.
+// filter matches every message of the chat, messageFields address a new message to it,
+// recipientIds are everyone but the user who should receive new messages,
+// isBlocked is set for 1:1 chats where either side blocked the other,
+// isDeleted for 1:1 chats whose partner deleted their account: the history stays readable, nobody receives anything
+export const resolveChat = async (userId, chatId) => {
+    if (!mongoose.isValidObjectId(chatId)) return null;
+    const myId = userId.toString();
+
+    const conversation = await Conversation.findOne({ _id: chatId, members: myId });
+    if (conversation) {
+        return {
+            isGroup: true,
+            conversation,
+            filter: { conversationId: conversation._id },
+            messageFields: { conversationId: conversation._id },
+            recipientIds: conversation.members.map((id) => id.toString()).filter((id) => id !== myId),
+            isBlocked: false,
+            isDeleted: false,
+        };
+    }
+
+    if (chatId.toString() === myId) return null;
+    const filter = {
+        $or: [
+            { senderId: myId, receiverId: chatId },
+            { senderId: chatId, receiverId: myId },
+        ],
+    };
+    const chat = {
+        isGroup: false,
+        conversation: null,
+        filter,
+        messageFields: { receiverId: chatId },
+    };
+
+    const partnerExists = await User.exists({ _id: chatId });
+    if (!partnerExists) {
+        if (!(await Message.exists(filter))) return null;
+        return { ...chat, recipientIds: [], isBlocked: false, isDeleted: true };
+    }
+
+    return {
+        ...chat,
+        recipientIds: [chatId.toString()],
+        isBlocked: await isBlockedBetween(myId, chatId),
+        isDeleted: false,
+    };
+}
+
+// stands in for the partner of a 1:1 chat whose account was deleted
+export const toDeletedUserPayload = (userId) => ({
+    _id: userId,
+    fullName: "Deleted user",
+    email: "",
+    profilePic: "",
+    isDeleted: true,
+});
+
+// everyone who can see a message: both sides of a 1:1 chat or all members of its group
+export const getMessageAudience = async (message) => {
+    if (!message.conversationId) {
+        return [message.senderId.toString(), message.receiverId.toString()];
+    }
+    const conversation = await Conversation.findById(message.conversationId).select("members").lean();
+    const memberIds = conversation ? conversation.members.map((id) => id.toString()) : [];
+    return [...new Set([message.senderId.toString(), ...memberIds])];
+}
+
+// when the user last read a group, from a document or a lean object; null if they never did
+export const getGroupReadMark = (conversation, userId) => {
+    const marks = conversation.lastReadAt;
+    const mark = marks instanceof Map ? marks.get(userId.toString()) : marks?.[userId.toString()];
+    return mark || null;
+}
+
+// a group's messages the user hasn't read: everything from others after their read mark.
+// members without a mark, in groups from before read marks existed, fall back to the shared readAt
+export const groupUnreadFilter = (conversation, userId) => {
+    const readMark = getGroupReadMark(conversation, userId);
+    return {
+        conversationId: conversation._id,
+        senderId: { $ne: userId },
+        deletedAt: null,
+        ...(readMark ? { createdAt: { $gt: readMark } } : { readAt: null }),
+    };
+}
+
+// shape a group for the client, with populated members. read marks are private to each member
+export const toGroupPayload = async (conversation) => {
+    if (!conversation.populated("members")) await conversation.populate("members", MEMBER_FIELDS);
+    const { lastReadAt: _, ...group } = conversation.toObject();
+    return { ...group, isGroup: true };
+}
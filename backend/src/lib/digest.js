@@ -0,0 +1,171 @@
+import User from "../models/User.js";
+import Message from "../models/Message.js";
+import Conversation from "../models/Conversation.js";
+import { ENV } from "./env.js";
+import { isUserOnline } from "./socket.js";
+import { groupUnreadFilter } from "./conversations.js";
+import { sendUnreadDigestEmail } from "../emails/emailHandlers.js";
+
+// how often the job looks for users to notify
+const DIGEST_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+// a message has to stay unread this long before it goes into a digest
+const UNREAD_AFTER_MINUTES = Number(ENV.DIGEST_UNREAD_AFTER_MINUTES) || 30;
+// older unread messages are not worth an email any more
+const MAX_UNREAD_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// the least time between two digests to the same user, per emailDigestFrequency
+export const DIGEST_FREQUENCIES = {
+    hourly: 60 * 60 * 1000,
+    daily: 24 * 60 * 60 * 1000,
+};
+
+// chats and preview lines listed per email; the counts still cover everything
+const MAX_DIGEST_CHATS = 10;
+const MAX_PREVIEWS_PER_CHAT = 3;
+const PREVIEW_LENGTH = 80;
+
+// 1:1 messages carry their own readAt; group messages are read per member, see groupUnreadFilter
+const DIRECT_UNREAD_FILTER = { conversationId: null, readAt: null, deletedAt: null };
+
+const getPreview = (message) => {
+    if (message.text) {
+        return message.text.length > PREVIEW_LENGTH ? `${message.text.slice(0, PREVIEW_LENGTH)}…` : message.text;
+    }
+    if (message.attachment) return `📎 ${message.attachment.name}`;
+    return "📷 Photo";
+}
+
+// users who might have something to be notified about: receivers of unread 1:1 messages and members of groups
+// with recent messages, which may be unread for any of them
+const findCandidateIds = async (since, cutoff) => {
+    const createdAt = { $gt: since, $lte: cutoff };
+    const [receiverIds, conversationIds] = await Promise.all([
+        Message.distinct("receiverId", { ...DIRECT_UNREAD_FILTER, createdAt }),
+        Message.distinct("conversationId", { conversationId: { $ne: null }, deletedAt: null, createdAt }),
+    ]);
+    const conversations = await Conversation.find({ _id: { $in: conversationIds } }).select("members").lean();
+    const ids = [...receiverIds, ...conversations.flatMap((conversation) => conversation.members)];
+    return [...new Set(ids.map((id) => id.toString()))];
+}
+
+// unread messages for the user that no digest mentioned yet, grouped by chat, most recent chat first
+const collectUnreadChats = async (user, since, cutoff) => {
+    const groups = await Conversation.find({ members: user._id }).select("name lastReadAt").lean();
+    const muted = (user.mutedChats || []).map((id) => id.toString());
+    const blocked = user.blockedUsers || [];
+    const notifiedUntil = user.digestNotifiedUntil > since ? user.digestNotifiedUntil : since;
+
+    const messages = await Message.find({
+        senderId: { $ne: user._id, $nin: blocked },
+        createdAt: { $gt: notifiedUntil, $lte: cutoff },
+        $or: [
+            { ...DIRECT_UNREAD_FILTER, receiverId: user._id },
+            ...groups.map((group) => groupUnreadFilter(group, user._id)),
+        ],
+    })
+        .select("senderId conversationId text image attachment createdAt")
+        .sort({ createdAt: 1 })
+        .lean();
+
+    // muted chats stay quiet here too
+    const relevant = messages.filter((message) => !muted.includes((message.conversationId || message.senderId).toString()));
+    if (relevant.length === 0) return { chats: [], notifiedUntil: null };
+
+    const senders = await User.find({ _id: { $in: relevant.map((message) => message.senderId) } }).select("fullName").lean();
+    const senderNames = new Map(senders.map((sender) => [sender._id.toString(), sender.fullName]));
+    const groupNames = new Map(groups.map((group) => [group._id.toString(), group.name]));
+
+    const chatsById = new Map();
+    for (const message of relevant) {
+        const chatId = (message.conversationId || message.senderId).toString();
+        const senderName = senderNames.get(message.senderId.toString()) || "Someone";
+        if (!chatsById.has(chatId)) {
+            chatsById.set(chatId, {
+                name: message.conversationId ? groupNames.get(chatId) : senderName,
+                isGroup: Boolean(message.conversationId),
+                unreadCount: 0,
+                previews: [],
+            });
+        }
+        const chat = chatsById.get(chatId);
+        chat.unreadCount++;
+        chat.previews.push({ senderName: chat.isGroup ? senderName : null, text: getPreview(message) });
+        chat.lastMessageAt = message.createdAt;
+    }
+
+    const chats = [...chatsById.values()]
+        .sort((a, b) => b.lastMessageAt - a.lastMessageAt)
+        .map((chat) => ({ ...chat, previews: chat.previews.slice(-MAX_PREVIEWS_PER_CHAT) }));
+    return { chats, notifiedUntil: relevant.at(-1).createdAt };
+}
+
+const isDigestDue = (user, now) => {
+    const interval = DIGEST_FREQUENCIES[user.emailDigestFrequency];
+    if (!interval) return false;
+    return !user.lastDigestSentAt || now - user.lastDigestSentAt.getTime() >= interval;
+}
+
+// sends one digest to every offline user with unread messages older than the threshold.
+// each message is mentioned at most once: digestNotifiedUntil moves past everything a digest covered
+export const sendUnreadDigests = async () => {
+    const now = Date.now();
+    const cutoff = new Date(now - UNREAD_AFTER_MINUTES * 60 * 1000);
+    const since = new Date(now - MAX_UNREAD_AGE_MS);
+
+    const candidateIds = (await findCandidateIds(since, cutoff)).filter((id) => !isUserOnline(id));
+    const users = await User.find({
+        _id: { $in: candidateIds },
+        emailDigestFrequency: { $ne: "off" },
+        // unconfirmed addresses may not belong to the user
+        emailVerified: { $ne: false },
+    })
+        .select("email fullName emailDigestFrequency +lastDigestSentAt +digestNotifiedUntil +mutedChats +blockedUsers")
+        .lean();
+
+    for (const user of users) {
+        if (!isDigestDue(user, now)) continue;
+        try {
+            const { chats, notifiedUntil } = await collectUnreadChats(user, since, cutoff);
+            if (chats.length === 0) continue;
+
+            const totalUnread = chats.reduce((total, chat) => total + chat.unreadCount, 0);
+            await sendUnreadDigestEmail(user.email, user.fullName, chats.slice(0, MAX_DIGEST_CHATS), totalUnread, ENV.CLIENT_URL);
+            await User.updateOne({ _id: user._id }, { lastDigestSentAt: new Date(now), digestNotifiedUntil: notifiedUntil });
+        } catch (error) {
+            // the next run tries again, nothing was marked as notified
+            console.error(`Error sending unread digest to user ${user._id}:`, error);
+        }
+    }
+}
+
+// accounts from before digests existed start from now, instead of being mailed their whole old history
+const backfillDigestStart = async () => {
+    const { modifiedCount } = await User.updateMany(
+        { digestNotifiedUntil: { $exists: false } },
+        { $set: { digestNotifiedUntil: new Date() } }
+    );
+    if (modifiedCount > 0) console.log(`Unread digests start from now for ${modifiedCount} existing users`);
+}
+
+let isRunning = false;
+let hasBackfilled = false;
+
+export const startDigestJob = () => {
+    setInterval(async () => {
+        // a slow run (e.g. a slow mail provider) must not overlap the next one
+        if (isRunning) return;
+        isRunning = true;
+        try {
+            // no digest goes out until existing accounts have their starting point
+            if (!hasBackfilled) {
+                await backfillDigestStart();
+                hasBackfilled = true;
+            }
+            await sendUnreadDigests();
+        } catch (error) {
+            console.error("Error in unread digest job:", error);
+        } finally {
+            isRunning = false;
+        }
+    }, DIGEST_CHECK_INTERVAL_MS).unref();
+}
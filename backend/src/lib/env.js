@@ -9,9 +9,25 @@ export const ENV = {
     CLIENT_URL: process.env.CLIENT_URL,
     EMAIL_USER: process.env.EMAIL_USER,
     EMAIL_PASS: process.env.EMAIL_PASS,
+    // "smtp", "resend" or "capture"; defaults to resend or smtp when configured, capture otherwise
+    MAIL_DRIVER: process.env.MAIL_DRIVER,
+    // sender address, falls back to EMAIL_USER
+    EMAIL_FROM: process.env.EMAIL_FROM,
+    SMTP_HOST: process.env.SMTP_HOST,
+    SMTP_PORT: process.env.SMTP_PORT,
+    RESEND_API_KEY: process.env.RESEND_API_KEY,
     CLOUDINARRY_CLOUD_NAME: process.env.CLOUDINARRY_CLOUD_NAME,
     CLOUDINARRY_API_KEY: process.env.CLOUDINARRY_API_KEY,
     CLOUDINARRY_API_SECRET: process.env.CLOUDINARRY_API_SECRET,
     ARCJET_KEY: process.env.ARCJET_KEY,
     ARCJET_ENV: process.env.ARCJET_ENV,
+    // "true" to only allow 1:1 messages between accepted contacts
+    CONTACTS_ONLY_MESSAGING: process.env.CONTACTS_ONLY_MESSAGING,
+    // "cloudinary" or "local"; defaults to cloudinary when it is configured
+    STORAGE_DRIVER: process.env.STORAGE_DRIVER,
+    // where the local driver keeps files, and the public origin of this server for their urls
+    UPLOADS_DIR: process.env.UPLOADS_DIR,
+    SERVER_URL: process.env.SERVER_URL,
+    // minutes a message stays unread before it is included in an email digest
+    DIGEST_UNREAD_AFTER_MINUTES: process.env.DIGEST_UNREAD_AFTER_MINUTES,
 }
\ No newline at end of file
@@ -0,0 +1,30 @@
+import Message from "../models/Message.js";
+import { emitToUser } from "./socket.js";
+import { toGroupPayload } from "./conversations.js";
+
+// push the latest state of a group to every member
+export const broadcastGroup = async (conversation) => {
+    const group = await toGroupPayload(conversation);
+    for (const member of group.members) {
+        emitToUser(member._id, "conversationUpdated", group);
+    }
+    return group;
+}
+
+// removes a member and hands the admin role on or deletes the group when nobody is left
+export const removeFromGroup = async (conversation, userId) => {
+    conversation.members.pull(userId);
+    conversation.lastReadAt.delete(userId.toString());
+    emitToUser(userId, "conversationRemoved", { conversationId: conversation._id });
+
+    if (conversation.members.length === 0) {
+        await Message.deleteMany({ conversationId: conversation._id });
+        await conversation.deleteOne();
+        return null;
+    }
+    if (conversation.admin.equals(userId)) {
+        conversation.admin = conversation.members[0];
+    }
+    await conversation.save();
+    return broadcastGroup(conversation);
+}
@@ -0,0 +1,81 @@
+import sharp from "sharp";
+import { uploadBuffer } from "./storage/index.js";
+
+export const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+const MAX_IMAGE_DIMENSION = 8192;
+
+// longest side of each rendition; avatars only keep one small copy, message images keep the original too
+const MESSAGE_DISPLAY_SIZE = 1280;
+const MESSAGE_THUMBNAIL_SIZE = 400;
+const AVATAR_SIZE = 512;
+
+const ENCODERS = {
+    "image/jpeg": (image) => image.jpeg({ quality: 85, mozjpeg: true }),
+    "image/png": (image) => image.png({ compressionLevel: 9 }),
+    "image/gif": (image) => image.gif(),
+    "image/webp": (image) => image.webp({ quality: 85 }),
+};
+
+// uploads claiming one of these types are processed as images, everything else is a plain attachment
+export const IMAGE_TYPES = Object.keys(ENCODERS);
+
+// the real type of an image from its first bytes, whatever the client claimed; null for anything else
+export const detectImageType = (buffer) => {
+    if (buffer.length < 12) return null;
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return "image/jpeg";
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return "image/png";
+    if (["GIF87a", "GIF89a"].includes(buffer.toString("latin1", 0, 6))) return "image/gif";
+    if (buffer.toString("latin1", 0, 4) === "RIFF" && buffer.toString("latin1", 8, 12) === "WEBP") return "image/webp";
+    return null;
+}
+
+// re-encodes the image upright and without metadata (EXIF, GPS, ...), scaled to fit within size if given
+const render = (buffer, mimeType, size) => {
+    let image = sharp(buffer, { animated: true, limitInputPixels: MAX_IMAGE_DIMENSION * MAX_IMAGE_DIMENSION }).rotate();
+    if (size) image = image.resize(size, size, { fit: "inside", withoutEnlargement: true });
+    return ENCODERS[mimeType](image).toBuffer({ resolveWithObject: true });
+}
+
+// validates an uploaded image buffer and stores its renditions. kind is "message" or "avatar".
+// resolves to { error: { status, message } } when rejected, to { url } for avatars,
+// and to { url, width, height, thumbnailUrl, displayUrl } for message images
+export const storeImage = async (buffer, kind) => {
+    const mimeType = detectImageType(buffer);
+    if (!mimeType) return { error: { status: 400, message: "Unsupported image format." } };
+    if (buffer.length > MAX_IMAGE_BYTES) return { error: { status: 413, message: "Images can be at most 10 MB." } };
+
+    // a valid header doesn't make a valid image, so decoding failures are the client's fault too
+    let metadata, avatar, original, display, thumbnail;
+    try {
+        metadata = await sharp(buffer, { animated: true }).metadata();
+        const frameHeight = metadata.pageHeight || metadata.height;
+        if (metadata.width > MAX_IMAGE_DIMENSION || frameHeight > MAX_IMAGE_DIMENSION) {
+            return { error: { status: 400, message: `Images can be at most ${MAX_IMAGE_DIMENSION}px on each side.` } };
+        }
+
+        if (kind === "avatar") {
+            avatar = await render(buffer, mimeType, AVATAR_SIZE);
+        } else {
+            // thumbnails and display copies are webp, which keeps gif animations and is much smaller
+            [original, display, thumbnail] = await Promise.all([
+                render(buffer, mimeType),
+                render(buffer, "image/webp", MESSAGE_DISPLAY_SIZE),
+                render(buffer, "image/webp", MESSAGE_THUMBNAIL_SIZE),
+            ]);
+        }
+    } catch {
+        return { error: { status: 400, message: "The image could not be read." } };
+    }
+
+    if (avatar) return { url: await uploadBuffer(avatar.data, "avatars", mimeType) };
+
+    const [url, displayUrl, thumbnailUrl] = await Promise.all([
+        uploadBuffer(original.data, "messages", mimeType),
+        uploadBuffer(display.data, "messages", "image/webp"),
+        uploadBuffer(thumbnail.data, "messages", "image/webp"),
+    ]);
+
+    // animated images are rendered as a strip of frames, one frame is what people see
+    const pages = metadata.pages || 1;
+    return { url, width: original.info.width, height: original.info.height / pages, thumbnailUrl, displayUrl };
+}
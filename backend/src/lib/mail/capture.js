@@ -0,0 +1,23 @@
+import crypto from "crypto";
+import { ENV } from "../env.js";
+
+// only the most recent emails are kept, in memory, until the server restarts
+const MAX_CAPTURED_EMAILS = 50;
+const capturedEmails = [];
+
+export const getCapturedEmails = () => capturedEmails;
+
+export const getCapturedEmail = (id) => capturedEmails.find((email) => email.id === id) || null;
+
+// delivers nothing: emails can be read at /api/dev/emails, so flows like signup work without a mail account
+const captureDriver = {
+    send: async (mail) => {
+        const id = crypto.randomBytes(8).toString("hex");
+        capturedEmails.unshift({ id, ...mail, createdAt: new Date() });
+        capturedEmails.length = Math.min(capturedEmails.length, MAX_CAPTURED_EMAILS);
+        console.log(`Captured email "${mail.subject}" to ${mail.to}: ${ENV.SERVER_URL || ""}/api/dev/emails/${id}`);
+        return { id };
+    },
+};
+
+export default captureDriver;
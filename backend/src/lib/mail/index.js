@@ -0,0 +1,29 @@
+import { ENV } from "../env.js";
+import smtpDriver from "./smtp.js";
+import resendDriver from "./resend.js";
+import captureDriver from "./capture.js";
+
+// every driver sends { from, to, subject, html } and resolves to the provider's { id } for it
+const drivers = {
+    smtp: smtpDriver,
+    resend: resendDriver,
+    capture: captureDriver,
+};
+
+// without explicit configuration, use whichever provider has credentials and capture otherwise
+const driverName = ENV.MAIL_DRIVER || (ENV.RESEND_API_KEY ? "resend" : ENV.EMAIL_USER ? "smtp" : "capture");
+const driver = drivers[driverName];
+if (!driver) throw new Error(`Unknown MAIL_DRIVER "${driverName}"`);
+// captured mail never reaches anyone, so nobody could verify their email or reset a password
+if (driverName === "capture" && ENV.NODE_ENV === "production") {
+    throw new Error("MAIL_DRIVER capture can't be used in production, configure smtp or resend");
+}
+
+export const isCapturingMail = driverName === "capture";
+
+export const sendMail = ({ to, subject, html }) => driver.send({
+    from: `${ENV.EMAIL_FROM_NAME} <${ENV.EMAIL_FROM || ENV.EMAIL_USER}>`,
+    to,
+    subject,
+    html,
+});
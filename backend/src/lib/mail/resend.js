@@ -0,0 +1,17 @@
+import { Resend } from "resend";
+import { ENV } from "../env.js";
+
+// created on first use, the client refuses to construct without an api key
+let client = null;
+
+const resendDriver = {
+    send: async (mail) => {
+        if (!client) client = new Resend(ENV.RESEND_API_KEY);
+        // resend reports failures in the result instead of throwing
+        const { data, error } = await client.emails.send(mail);
+        if (error) throw new Error(error.message);
+        return { id: data.id };
+    },
+};
+
+export default resendDriver;
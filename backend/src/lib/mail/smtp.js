@@ -0,0 +1,22 @@
+import nodemailer from "nodemailer";
+import { ENV } from "../env.js";
+
+// any SMTP server; defaults to Gmail with STARTTLS on 587
+const transporter = nodemailer.createTransport({
+    host: ENV.SMTP_HOST || "smtp.gmail.com",
+    port: Number(ENV.SMTP_PORT) || 587,
+    secure: Number(ENV.SMTP_PORT) === 465, // implicit TLS on 465, STARTTLS otherwise
+    auth: {
+        user: ENV.EMAIL_USER,
+        pass: ENV.EMAIL_PASS,
+    },
+});
+
+const smtpDriver = {
+    send: async (mail) => {
+        const info = await transporter.sendMail(mail);
+        return { id: info.messageId };
+    },
+};
+
+export default smtpDriver;
@@ -0,0 +1,110 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Session from "../models/Session.js";
+import { authCookieOptions, generateToken, hashToken } from "./utils.js";
+import { disconnectSession, disconnectUser } from "./socket.js";
+
+// a session ends after this long without a refresh
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+// tabs refreshing at the same moment all present the same token; the ones that lose the race are still let in
+const ROTATION_GRACE_MS = 30 * 1000;
+
+// only sent to the auth routes, which refresh and end sessions
+export const REFRESH_COOKIE = "refreshToken";
+const REFRESH_COOKIE_PATH = "/api/auth";
+
+// the session id travels in the token so a replayed token can be traced back to its session
+const createRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString("hex")}`;
+
+const getTokenSessionId = (refreshToken) => {
+    const [sessionId] = typeof refreshToken === "string" ? refreshToken.split(".") : [];
+    return mongoose.isValidObjectId(sessionId) ? sessionId : null;
+}
+
+const setSessionCookies = (session, refreshToken, res) => {
+    res.cookie(REFRESH_COOKIE, refreshToken, authCookieOptions(REFRESH_TOKEN_TTL_MS, REFRESH_COOKIE_PATH));
+    generateToken(session.userId, session._id, res);
+}
+
+export const clearSessionCookies = (res) => {
+    res.cookie("jwt", "", { maxAge: 0 });
+    res.cookie(REFRESH_COOKIE, "", { maxAge: 0, path: REFRESH_COOKIE_PATH });
+}
+
+// signs the user in on this device
+export const startSession = async (userId, req, res) => {
+    const session = new Session({
+        userId,
+        userAgent: req.get("user-agent") || "",
+        ip: req.ip || "",
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    });
+    const refreshToken = createRefreshToken(session._id);
+    session.refreshTokenHash = hashToken(refreshToken);
+    await session.save();
+
+    setSessionCookies(session, refreshToken, res);
+    return session;
+}
+
+// trades a refresh token for a new access and refresh token. resolves to null when the token is unknown,
+// expired, or was already used, in which case the session it belonged to is revoked
+export const rotateSession = async (refreshToken, req, res) => {
+    const sessionId = getTokenSessionId(refreshToken);
+    if (!sessionId) return null;
+    const session = await Session.findById(sessionId);
+    if (!session || session.expiresAt <= new Date()) return null;
+
+    const tokenHash = hashToken(refreshToken);
+    const isCurrent = tokenHash === session.refreshTokenHash;
+    const isJustRotated = tokenHash === session.previousRefreshTokenHash && Date.now() - session.rotatedAt < ROTATION_GRACE_MS;
+    if (!isCurrent && !isJustRotated) {
+        // an old token coming back means someone kept a copy, so nobody gets to use this session anymore
+        await revokeSession(session._id);
+        return null;
+    }
+
+    const newRefreshToken = createRefreshToken(session._id);
+    if (isCurrent) {
+        session.previousRefreshTokenHash = session.refreshTokenHash;
+        session.rotatedAt = new Date();
+    }
+    session.refreshTokenHash = hashToken(newRefreshToken);
+    session.lastUsedAt = new Date();
+    session.expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+    session.userAgent = req.get("user-agent") || session.userAgent;
+    session.ip = req.ip || session.ip;
+    await session.save();
+
+    setSessionCookies(session, newRefreshToken, res);
+    return session;
+}
+
+// the session a refresh token belongs to, if the token is still valid for it
+export const findSessionByRefreshToken = async (refreshToken) => {
+    const sessionId = getTokenSessionId(refreshToken);
+    if (!sessionId) return null;
+    const tokenHash = hashToken(refreshToken);
+    return Session.findOne({
+        _id: sessionId,
+        $or: [{ refreshTokenHash: tokenHash }, { previousRefreshTokenHash: tokenHash }],
+    });
+}
+
+// revoked sessions are deleted; their access tokens stop working and their sockets are closed right away
+export const revokeSession = async (sessionId) => {
+    await Session.deleteOne({ _id: sessionId });
+    disconnectSession(sessionId);
+}
+
+// signs the user out everywhere, or everywhere but exceptSessionId
+export const revokeUserSessions = async (userId, exceptSessionId = null) => {
+    if (!exceptSessionId) {
+        await Session.deleteMany({ userId });
+        disconnectUser(userId);
+        return;
+    }
+    const sessions = await Session.find({ userId, _id: { $ne: exceptSessionId } }).select("_id").lean();
+    await Session.deleteMany({ _id: { $in: sessions.map((session) => session._id) } });
+    for (const session of sessions) disconnectSession(session._id);
+}
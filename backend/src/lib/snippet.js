@@ -0,0 +1,42 @@
+const SNIPPET_RADIUS = 60;
+
+// search words without MongoDB text operators (quotes, negations)
+export const getSearchTerms = (query) =>
+    query
+        .split(/\s+/)
+        .filter((term) => !term.startsWith("-"))
+        .map((term) => term.replace(/"/g, "").toLowerCase())
+        .filter(Boolean);
+
+// cuts a window of text around the first matching term and returns [start, end] ranges of every match in it;
+// ranges rather than markup so the client never has to render server-built HTML
+export const buildSnippet = (text, terms) => {
+    const lowerText = text.toLowerCase();
+    const firstMatch = Math.min(...terms.map((term) => lowerText.indexOf(term)).filter((index) => index >= 0));
+    const center = Number.isFinite(firstMatch) ? firstMatch : 0;
+
+    const start = Math.max(0, center - SNIPPET_RADIUS);
+    const end = Math.min(text.length, center + SNIPPET_RADIUS * 2);
+    const prefix = start > 0 ? "…" : "";
+    const snippet = prefix + text.slice(start, end) + (end < text.length ? "…" : "");
+
+    const lowerSnippet = snippet.toLowerCase();
+    const highlights = [];
+    for (const term of terms) {
+        let index = lowerSnippet.indexOf(term);
+        while (index >= 0) {
+            highlights.push([index, index + term.length]);
+            index = lowerSnippet.indexOf(term, index + term.length);
+        }
+    }
+    highlights.sort((a, b) => a[0] - b[0]);
+
+    // merge overlapping ranges so the client can render them in one pass
+    const merged = [];
+    for (const range of highlights) {
+        const last = merged.at(-1);
+        if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+        else merged.push([...range]);
+    }
+    return { snippet, highlights: merged };
+}
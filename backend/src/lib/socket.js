@@ -0,0 +1,139 @@
+import { Server } from 'socket.io';
+import http from 'http';
+import express from 'express';
+import { ENV } from './env.js';
+import User from '../models/User.js';
+import Message from '../models/Message.js';
+import Conversation from '../models/Conversation.js';
+import { resolveChat } from './conversations.js';
+import { socketAuthMiddleware } from '../middleware/socket.auth.middleware.js';
+
+const app = express();
+const server = http.createServer(app);
+
+const io = new Server(server, {
+    cors: {
+        origin: [ENV.CLIENT_URL],
+        credentials: true,
+    },
+});
+
+// only authenticated users can open a socket
+io.use(socketAuthMiddleware);
+
+// userId -> Set of socket ids, a user stays online until their last tab/device disconnects
+const userSocketMap = new Map();
+
+export const isUserOnline = (userId) => userSocketMap.has(userId.toString());
+
+export const getOnlineUserIds = () => [...userSocketMap.keys()];
+
+// every socket joins a room named after its user id, so one emit reaches all tabs/devices of that user
+export const emitToUser = (userId, event, payload) => {
+    io.to(userId.toString()).emit(event, payload);
+}
+
+// close every open connection of a user, e.g. once their sessions were revoked
+export const disconnectUser = (userId) => {
+    io.in(userId.toString()).disconnectSockets(true);
+}
+
+// sockets also join a room per sign-in session, so revoking one device closes only its connections
+export const disconnectSession = (sessionId) => {
+    io.in(`session:${sessionId}`).disconnectSockets(true);
+}
+
+// notify the author of each message, batching the message ids per author
+export const emitToSenders = (messages, event, payload) => {
+    const idsBySender = new Map();
+    for (const msg of messages) {
+        const senderId = msg.senderId.toString();
+        if (!idsBySender.has(senderId)) idsBySender.set(senderId, []);
+        idsBySender.get(senderId).push(msg._id);
+    }
+    for (const [senderId, messageIds] of idsBySender) {
+        emitToUser(senderId, event, { ...payload, messageIds });
+    }
+}
+
+// mark everything that was sent while the user was offline as delivered, and tell each sender.
+// group messages count as delivered once the first member gets them, like when they're sent
+const markPendingMessagesDelivered = async (userId) => {
+    const conversationIds = await Conversation.find({ members: userId }).distinct("_id");
+    const pending = await Message.find({
+        deliveredAt: null,
+        $or: [
+            { receiverId: userId },
+            { conversationId: { $in: conversationIds }, senderId: { $ne: userId } },
+        ],
+    }).select("_id senderId").lean();
+    if (pending.length === 0) return;
+
+    const deliveredAt = new Date();
+    await Message.updateMany({ _id: { $in: pending.map((msg) => msg._id) } }, { deliveredAt });
+
+    emitToSenders(pending, "messagesDelivered", { deliveredAt });
+}
+
+io.on("connection", (socket) => {
+    console.log("A user connected:", socket.user.fullName);
+    const { userId } = socket;
+    socket.join(userId);
+    socket.join(`session:${socket.sessionId}`);
+
+    if (!userSocketMap.has(userId)) {
+        userSocketMap.set(userId, new Set());
+        socket.broadcast.emit("userPresence", { userId, isOnline: true });
+        markPendingMessagesDelivered(userId).catch((error) => {
+            console.error("Error marking messages delivered:", error.message);
+        });
+    }
+    userSocketMap.get(userId).add(socket.id);
+    socket.emit("getOnlineUsers", getOnlineUserIds());
+
+    // unverified accounts can't reach other people (see requireVerifiedEmail). verifying happens
+    // while the socket is open, so an unverified state is looked up again until it changes
+    const isVerified = async () => {
+        if (socket.user.emailVerified !== false) return true;
+        const user = await User.findById(userId).select("emailVerified").lean();
+        socket.user.emailVerified = user?.emailVerified;
+        return user?.emailVerified !== false;
+    };
+
+    // typing signals are relayed only to the chat the sender has open, a partner or a group's members
+    const relayTyping = (event) => async ({ receiverId } = {}) => {
+        if (typeof receiverId !== "string") return;
+        try {
+            if (!(await isVerified())) return;
+            const chat = await resolveChat(userId, receiverId);
+            if (!chat || chat.isBlocked) return;
+            const conversationId = chat.isGroup ? chat.conversation._id : null;
+            for (const recipientId of chat.recipientIds) {
+                emitToUser(recipientId, event, { senderId: userId, conversationId });
+            }
+        } catch (error) {
+            console.error("Error relaying typing signal:", error.message);
+        }
+    };
+    socket.on("typing", relayTyping("typing"));
+    socket.on("stopTyping", relayTyping("stopTyping"));
+
+    socket.on("disconnect", async () => {
+        console.log("A user disconnected:", socket.user.fullName);
+        const sockets = userSocketMap.get(userId);
+        if (!sockets) return;
+        sockets.delete(socket.id);
+        if (sockets.size > 0) return;
+
+        userSocketMap.delete(userId);
+        const lastSeen = new Date();
+        io.emit("userPresence", { userId, isOnline: false, lastSeen });
+        try {
+            await User.findByIdAndUpdate(userId, { lastSeen });
+        } catch (error) {
+            console.error("Error saving lastSeen:", error.message);
+        }
+    });
+});
+
+export { io, app, server };
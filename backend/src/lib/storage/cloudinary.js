@@ -0,0 +1,38 @@
+import { Readable } from "stream";
+import cloudinary from "../cloudinary.js";
+
+// resource type and public id of an asset from its delivery url, e.g.
+// .../image/upload/v123/avatars/abc.jpg -> image, avatars/abc. raw files keep their extension in the id
+const getAsset = (url) => {
+    const [, resourceType, path] = url.match(/\/(image|video|raw)\/upload\/(?:v\d+\/)?(.+)$/) || [];
+    if (!path) return null;
+    return { resourceType, publicId: resourceType === "raw" ? path : path.replace(/\.[^./]+$/, "") };
+}
+
+const cloudinaryDriver = {
+    owns: (url) => url.includes("res.cloudinary.com/"),
+
+    // non-image files are stored as raw resources
+    uploadStream: (stream, folder) => new Promise((resolve, reject) => {
+        const upload = cloudinary.uploader.upload_stream({ folder, resource_type: "auto" }, (error, result) => {
+            if (error) return reject(error);
+            resolve({ url: result.secure_url, size: result.bytes });
+        });
+        stream.on("error", reject);
+        stream.pipe(upload);
+    }),
+
+    // delivery urls are public, so stored files are simply downloaded
+    openStream: async (url) => {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`Download failed with status ${response.status}`);
+        return Readable.fromWeb(response.body);
+    },
+
+    remove: async (url) => {
+        const asset = getAsset(url);
+        if (asset) await cloudinary.uploader.destroy(asset.publicId, { resource_type: asset.resourceType });
+    },
+};
+
+export default cloudinaryDriver;
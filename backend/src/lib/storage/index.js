@@ -0,0 +1,45 @@
+import { Readable } from "stream";
+import { ENV } from "../env.js";
+import cloudinaryDriver from "./cloudinary.js";
+import localDriver from "./local.js";
+
+// every driver streams an upload into a folder ("avatars", "messages" or "attachments"),
+// resolving to its url and size, and can read back or remove what it stored by that url
+const drivers = {
+    cloudinary: cloudinaryDriver,
+    local: localDriver,
+};
+
+// without explicit configuration, fall back to local disk when there is no Cloudinary account
+const driverName = ENV.STORAGE_DRIVER || (ENV.CLOUDINARRY_CLOUD_NAME ? "cloudinary" : "local");
+const driver = drivers[driverName];
+if (!driver) throw new Error(`Unknown STORAGE_DRIVER "${driverName}"`);
+
+// stores an image rendition that was already processed in memory, resolves to its url
+export const uploadBuffer = async (buffer, folder, mimeType) => {
+    const { url } = await driver.uploadStream(Readable.from(buffer), folder, mimeType);
+    return url;
+}
+
+// streams an attachment to storage without holding it in memory, resolves to { url, size }
+export const uploadFileStream = (stream, mimeType) => driver.uploadStream(stream, "attachments", mimeType);
+
+// reads a stored asset back by url, whichever driver stored it. rejects when it is gone
+export const openFileStream = (url) => {
+    const owner = Object.values(drivers).find((item) => item.owns(url));
+    if (!owner) return Promise.reject(new Error("Unknown storage location"));
+    return owner.openStream(url);
+}
+
+// deletes an asset by url, whichever driver stored it, so a switch of driver doesn't leave files behind.
+// failures are only logged: a stale asset must not fail the request that replaced it
+export const removeFile = async (url) => {
+    if (!url) return;
+    const owner = Object.values(drivers).find((item) => item.owns(url));
+    if (!owner) return;
+    try {
+        await owner.remove(url);
+    } catch (error) {
+        console.error("Error removing stored file:", error.message);
+    }
+}
@@ -0,0 +1,74 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import { createReadStream, createWriteStream } from "fs";
+import path from "path";
+import { pipeline } from "stream/promises";
+import { ENV } from "../env.js";
+
+export const UPLOADS_DIR = path.resolve(ENV.UPLOADS_DIR || "uploads");
+
+// files are served by the media route, which checks who may see them
+const MEDIA_PATH = "/api/media/";
+
+const EXTENSIONS = {
+    "image/jpeg": "jpg",
+    "image/png": "png",
+    "image/gif": "gif",
+    "image/webp": "webp",
+};
+
+// folder/file as generated below; anything else is never a path we wrote.
+// attachments have no extension, their name and type live on the message
+const MEDIA_KEY_REGEX = /^((avatars|messages)\/[a-f0-9]{32}\.(jpg|png|gif|webp)|attachments\/[a-f0-9]{32})$/;
+
+export const isMediaKey = (key) => MEDIA_KEY_REGEX.test(key);
+
+export const getMediaPath = (key) => path.join(UPLOADS_DIR, key);
+
+// folder/file of a local media url, null for anything else
+export const getMediaKey = (url) => {
+    const index = url.indexOf(MEDIA_PATH);
+    return index === -1 ? null : url.slice(index + MEDIA_PATH.length);
+}
+
+export const getMediaUrl = (key) => `${ENV.SERVER_URL || ""}${MEDIA_PATH}${key}`;
+
+const createFileName = () => crypto.randomBytes(16).toString("hex");
+
+const localDriver = {
+    owns: (url) => getMediaKey(url) !== null,
+
+    // images keep an extension matching their type, other files are stored under a bare id
+    uploadStream: async (stream, folder, mimeType) => {
+        const fileName = folder === "attachments" ? createFileName() : `${createFileName()}.${EXTENSIONS[mimeType]}`;
+        const key = `${folder}/${fileName}`;
+        await fs.mkdir(path.join(UPLOADS_DIR, folder), { recursive: true });
+        const file = createWriteStream(getMediaPath(key));
+        try {
+            await pipeline(stream, file);
+        } catch (error) {
+            await fs.rm(getMediaPath(key), { force: true });
+            throw error;
+        }
+        return { url: getMediaUrl(key), size: file.bytesWritten };
+    },
+
+    openStream: async (url) => {
+        const key = getMediaKey(url);
+        if (!isMediaKey(key)) throw new Error("Not a stored media file");
+        // resolves only once the file is open, so a missing file rejects here instead of erroring mid-stream
+        const stream = createReadStream(getMediaPath(key));
+        await new Promise((resolve, reject) => {
+            stream.once("open", resolve);
+            stream.once("error", reject);
+        });
+        return stream;
+    },
+
+    remove: async (url) => {
+        const key = getMediaKey(url);
+        if (isMediaKey(key)) await fs.rm(getMediaPath(key), { force: true });
+    },
+};
+
+export default localDriver;
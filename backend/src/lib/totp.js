@@ -0,0 +1,76 @@
+import crypto from "crypto";
+
+// RFC 6238 time-based one-time passwords, as produced by Google Authenticator, 1Password, Authy, ...
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// codes from the previous and next step are accepted too, for clocks that drift a little
+const ALLOWED_DRIFT_STEPS = 1;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const encodeBase32 = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+        value &= (1 << bits) - 1;
+    }
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return output;
+}
+
+const decodeBase32 = (text) => {
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of text.replace(/=+$/, "").toUpperCase()) {
+        value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+        value &= (1 << bits) - 1;
+    }
+    return Buffer.from(bytes);
+}
+
+// 160 random bits, base32 encoded as authenticator apps expect
+export const generateTotpSecret = () => encodeBase32(crypto.randomBytes(20));
+
+export const getTotpStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+export const generateTotp = (secret, step = getTotpStep()) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac("sha1", decodeBase32(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+// the step the code belongs to, or null if it doesn't match. steps up to lastUsedStep are refused,
+// so a code that was already used to sign in can't be replayed
+export const verifyTotp = (secret, code, lastUsedStep = -1) => {
+    const normalized = String(code ?? "").replace(/\s/g, "");
+    if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) return null;
+
+    const currentStep = getTotpStep();
+    for (let step = currentStep - ALLOWED_DRIFT_STEPS; step <= currentStep + ALLOWED_DRIFT_STEPS; step++) {
+        if (step <= lastUsedStep) continue;
+        if (crypto.timingSafeEqual(Buffer.from(generateTotp(secret, step)), Buffer.from(normalized))) return step;
+    }
+    return null;
+}
+
+// what authenticator apps scan from the QR code
+export const getOtpauthUri = (secret, accountName, issuer = "BradChat") => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({ secret, issuer, algorithm: "SHA1", digits: DIGITS, period: STEP_SECONDS });
+    return `otpauth://totp/${label}?${params}`;
+}
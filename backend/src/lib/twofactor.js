@@ -0,0 +1,33 @@
+import crypto from "crypto";
+import { hashToken } from "./utils.js";
+import { verifyTotp } from "./totp.js";
+
+const RECOVERY_CODE_COUNT = 10;
+
+// hidden fields needed to check a second factor
+export const TWO_FACTOR_FIELDS = "+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep";
+
+// e.g. "3f9a-c21b"; shown to the user once, stored hashed
+const createRecoveryCode = () => crypto.randomBytes(4).toString("hex").replace(/^(.{4})/, "$1-");
+
+// sets a fresh set of recovery codes on the user (replacing the old ones) and returns them in plain text
+export const resetRecoveryCodes = (user) => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, createRecoveryCode);
+    user.twoFactorRecoveryCodes = codes.map(hashToken);
+    return codes;
+}
+
+// checks an authenticator code, or else a recovery code, against a user loaded with TWO_FACTOR_FIELDS.
+// a matching code is used up on the user document, which the caller saves
+export const verifySecondFactor = (user, code) => {
+    const step = verifyTotp(user.twoFactorSecret, code, user.twoFactorLastUsedStep ?? -1);
+    if (step !== null) {
+        user.twoFactorLastUsedStep = step;
+        return true;
+    }
+
+    const recoveryHash = hashToken(String(code ?? "").trim().toLowerCase());
+    if (!user.twoFactorRecoveryCodes.includes(recoveryHash)) return false;
+    user.twoFactorRecoveryCodes = user.twoFactorRecoveryCodes.filter((hash) => hash !== recoveryHash);
+    return true;
+}
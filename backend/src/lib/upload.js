@@ -0,0 +1,115 @@
+import busboy from "busboy";
+import { removeFile, uploadFileStream } from "./storage/index.js";
+import { IMAGE_TYPES, MAX_IMAGE_BYTES, storeImage } from "./images.js";
+
+export const MAX_UPLOAD_SIZE = 25 * 1024 * 1024;
+
+// longest original file name kept on a message
+const MAX_FILE_NAME_LENGTH = 200;
+
+// collects an image upload in memory, which processing needs anyway; null past the size limit
+const readImage = (stream) => new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    stream.on("data", (chunk) => {
+        size += chunk.length;
+        if (size <= MAX_IMAGE_BYTES) chunks.push(chunk);
+    });
+    stream.on("end", () => resolve(size <= MAX_IMAGE_BYTES ? Buffer.concat(chunks) : null));
+    stream.on("error", reject);
+});
+
+// removes whatever a finished upload stored
+const discardUpload = ({ image, attachment }) =>
+    Promise.all([image?.url, image?.displayUrl, image?.thumbnailUrl, attachment?.url].map(removeFile));
+
+// reads a multipart form with one "file" part. kind is "message", which takes any file, or "avatar",
+// which takes images only. attachments are streamed straight to storage, images are processed into
+// renditions (see storeImage). resolves to { fields, image, attachment } where attachment is
+// { url, name, size, mimeType }, or to { error: { status, message } } when rejected.
+// rejects when storage fails or the client goes away, after removing anything already stored
+export const receiveUpload = (req, kind = "message") => new Promise((resolve, reject) => {
+    let parser;
+    try {
+        parser = busboy({ headers: req.headers, limits: { files: 1, fields: 10, fileSize: MAX_UPLOAD_SIZE } });
+    } catch {
+        return resolve({ error: { status: 400, message: "Invalid upload." } });
+    }
+
+    const fields = {};
+    let upload = null;
+    let fileStream = null;
+    let isTooLarge = false;
+    let isUnsupported = false;
+    let isDone = false;
+
+    // stops reading at the first failure. destroying the file stream makes storage drop a partial file,
+    // and an upload that still completes is removed once it settles
+    const fail = (error) => {
+        if (isDone) return;
+        isDone = true;
+        req.unpipe(parser);
+        fileStream?.destroy(error);
+        parser.destroy();
+        upload?.then(discardUpload, () => {});
+        reject(error);
+    };
+
+    parser.on("field", (name, value) => {
+        fields[name] = value;
+    });
+
+    parser.on("file", (name, stream, { filename, mimeType }) => {
+        if (name !== "file" || upload) {
+            stream.resume();
+            return;
+        }
+        if (kind === "avatar" && !IMAGE_TYPES.includes(mimeType)) {
+            isUnsupported = true;
+            stream.resume();
+            return;
+        }
+        fileStream = stream;
+        // storage reports stream failures through the upload; this keeps one from crashing the process
+        // when storage failed before it started reading
+        stream.on("error", () => {});
+        stream.on("limit", () => {
+            isTooLarge = true;
+        });
+        if (IMAGE_TYPES.includes(mimeType)) {
+            upload = readImage(stream).then(async (buffer) => ({
+                image: buffer ? await storeImage(buffer, kind) : { error: { status: 413, message: "Images can be at most 10 MB." } },
+            }));
+        } else {
+            const fileName = (filename || "file").slice(0, MAX_FILE_NAME_LENGTH);
+            upload = uploadFileStream(stream, mimeType).then((stored) => ({ attachment: { ...stored, name: fileName, mimeType } }));
+        }
+        // storage can fail long before the form ends, and nothing else is waiting on the upload yet
+        upload.catch(fail);
+    });
+
+    parser.on("close", async () => {
+        if (isDone) return;
+        try {
+            const { image = null, attachment = null } = upload ? await upload : {};
+            if (isDone) return;
+            isDone = true;
+            // busboy stops at the limit, so what was stored is only the start of the file
+            if (isTooLarge) {
+                await removeFile(attachment?.url);
+                return resolve({ error: { status: 413, message: "File is too large." } });
+            }
+            if (isUnsupported) return resolve({ error: { status: 400, message: "Unsupported image format." } });
+            if (image?.error) return resolve({ error: image.error });
+            resolve({ fields, image, attachment });
+        } catch (error) {
+            fail(error);
+        }
+    });
+
+    parser.on("error", fail);
+    // a client that goes away never ends the form, so the parser would wait forever
+    req.on("aborted", () => fail(new Error("Upload aborted by the client")));
+    req.on("error", fail);
+    req.pipe(parser);
+});
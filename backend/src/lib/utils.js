@@ -1,20 +1,30 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import { ENV } from './env.js';
 
-export const generateToken = (user,res) => {
+// access tokens are short-lived, the session's refresh token renews them
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+
+// tokens that are emailed out are stored hashed
+export const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+export const authCookieOptions = (maxAge, path = "/") => ({
+    maxAge,
+    path,
+    httpOnly: true,
+    secure: ENV.NODE_ENV === "devlopment" ? false : true, // set to true in production
+    sameSite: "strict",
+});
+
+export const generateToken = (userId, sessionId, res) => {
     const { JWT_SECRET } = ENV;
     if(!JWT_SECRET) {
         throw new Error("JWT_SECRET is not configured");
     }
-    const token = jwt.sign({ UserId: user._id}, ENV.JWT_SECRET, {
-        expiresIn: "7d",
-    })
-    res.cookie("jwt", token, {
-        maxAge: 7*24*60*60*1000, // 7 days
-        httpOnly: true,
-        secure: ENV.NODE_ENV === "devlopment" ? false : true, // set to true in production
-        sameSite: "strict",
+    const token = jwt.sign({ UserId: userId, sessionId }, ENV.JWT_SECRET, {
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS,
     })
+    res.cookie("jwt", token, authCookieOptions(ACCESS_TOKEN_TTL_SECONDS * 1000));
 
     return token;
-}
\ No newline at end of file
+}
@@ -1,6 +1,7 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
 import { ENV } from '../lib/env.js';
+import Session from '../models/Session.js';
 
 export const protectRoute = async (req, res, next) => {
     try {
@@ -10,13 +11,28 @@ export const protectRoute = async (req, res, next) => {
         const decoded = jwt.verify(token, ENV.JWT_SECRET);
         if(!decoded) return res.status(401).json({ message: "Unauthorized - Invalid token" });
 
+        // signing out or revoking a session invalidates its access tokens before they expire
+        const session = await Session.exists({ _id: decoded.sessionId, userId: decoded.UserId });
+        if(!session) return res.status(401).json({ message: "Unauthorized - Session expired" });
+
         const user = await User.findById(decoded.UserId).select("-password");
         if(!user) return res.status(404).json({ message: "User not found" });
 
         req.user = user;
+        req.sessionId = session._id;
         next();
     } catch (error) {
+        // expired or tampered tokens; the client refreshes and retries on a 401
+        if (error instanceof jwt.JsonWebTokenError) return res.status(401).json({ message: "Unauthorized - Invalid token" });
         console.error("Error in protectRoute middleware:", error);
         res.status(500).json({ message: "Internal server error" });
     }
+}
+
+// for routes that reach other people; goes after protectRoute
+export const requireVerifiedEmail = (req, res, next) => {
+    if (req.user.emailVerified === false) {
+        return res.status(403).json({ message: "Please verify your email address first" });
+    }
+    next();
 }
\ No newline at end of file
@@ -0,0 +1,32 @@
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import { ENV } from '../lib/env.js';
+import Session from '../models/Session.js';
+
+// same checks as protectRoute, but the jwt cookie comes from the handshake headers
+export const socketAuthMiddleware = async (socket, next) => {
+    try {
+        const token = socket.handshake.headers.cookie
+            ?.split("; ")
+            .find((row) => row.startsWith("jwt="))
+            ?.split("=")[1];
+        if(!token) return next(new Error("Unauthorized - No token provided"));
+
+        const decoded = jwt.verify(token, ENV.JWT_SECRET);
+        if(!decoded) return next(new Error("Unauthorized - Invalid token"));
+
+        const session = await Session.exists({ _id: decoded.sessionId, userId: decoded.UserId });
+        if(!session) return next(new Error("Unauthorized - Session expired"));
+
+        const user = await User.findById(decoded.UserId).select("-password");
+        if(!user) return next(new Error("User not found"));
+
+        socket.user = user;
+        socket.userId = user._id.toString();
+        socket.sessionId = session._id.toString();
+        next();
+    } catch (error) {
+        console.error("Error in socketAuthMiddleware:", error.message);
+        next(new Error("Unauthorized - Authentication failed"));
+    }
+}
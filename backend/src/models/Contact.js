@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+// a contact request from requester to recipient, which becomes a contact once accepted.
+// declined requests and removed contacts are deleted, so either user can ask again later
+const contactSchema = new mongoose.Schema(
+  {
+    requester: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "accepted"],
+      default: "pending",
+    },
+  },
+  { timestamps: true }
+);
+
+contactSchema.index({ requester: 1, recipient: 1 }, { unique: true });
+contactSchema.index({ recipient: 1, status: 1 });
+
+const Contact = mongoose.model("Contact", contactSchema);
+
+export default Contact;
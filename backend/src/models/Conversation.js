@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+// group chats; 1:1 chats are still addressed by the partner's user id
+const conversationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    avatar: {
+      type: String,
+      default: "",
+    },
+    members: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    admin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // user id -> when that member last read the group; each member has their own unread messages
+    lastReadAt: {
+      type: Map,
+      of: Date,
+      default: {},
+    },
+  },
+  { timestamps: true }
+);
+
+conversationSchema.index({ members: 1 });
+
+const Conversation = mongoose.model("Conversation", conversationSchema);
+
+export default Conversation;
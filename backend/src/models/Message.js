@@ -7,10 +7,18 @@ const messageSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // 1:1 messages have a receiver, group messages belong to a conversation instead
     receiverId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+      required: function () {
+        return !this.conversationId;
+      },
+    },
+    conversationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Conversation",
+      default: null,
     },
     text: {
       type: String,
@@ -20,10 +28,95 @@ const messageSchema = new mongoose.Schema(
     image: {
       type: String,
     },
+    // size and smaller renditions of image, so clients can reserve layout space and load less
+    imageInfo: {
+      type: new mongoose.Schema(
+        {
+          width: Number,
+          height: Number,
+          thumbnailUrl: String,
+          displayUrl: String,
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+    // any other uploaded file, offered for download
+    attachment: {
+      type: new mongoose.Schema(
+        {
+          url: { type: String, required: true },
+          name: { type: String, required: true },
+          size: { type: Number, required: true },
+          mimeType: { type: String, default: "application/octet-stream" },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+    // the message this one quotes, always from the same chat
+    replyTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+    // set once the receiver has an open connection, and once they viewed the message
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+    // deleted messages stay as tombstones without content
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    // one entry per emoji, holding everyone who reacted with it
+    reactions: [
+      {
+        _id: false,
+        emoji: {
+          type: String,
+          required: true,
+        },
+        userIds: [
+          {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+          },
+        ],
+      },
+    ],
+    // previous versions of edited or deleted messages, kept for moderation and never sent to clients
+    editHistory: {
+      type: [
+        {
+          _id: false,
+          text: String,
+          image: String,
+          attachment: Object,
+          editedAt: Date,
+        },
+      ],
+      select: false,
+    },
   },
   { timestamps: true }
 );
 
+// serves conversation history pages, newest first, in both directions of a chat
+messageSchema.index({ senderId: 1, receiverId: 1, createdAt: -1 });
+messageSchema.index({ conversationId: 1, createdAt: -1 });
+// full-text search over message bodies
+messageSchema.index({ text: "text" });
+
 const Message = mongoose.model("Message", messageSchema);
 
 export default Message;
\ No newline at end of file
@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+
+// one signed-in device; access tokens are only accepted while their session exists
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // sha256 of the current refresh token, and of the one it replaced, which is still honoured for a few seconds
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+    previousRefreshTokenHash: {
+      type: String,
+      default: null,
+    },
+    rotatedAt: {
+      type: Date,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ userId: 1 });
+// mongo deletes sessions whose refresh token ran out
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
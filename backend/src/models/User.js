@@ -19,6 +19,122 @@ const userSchema = new mongoose.Schema({
         type: String,
         default: "",
     },
+    bio: {
+        type: String,
+        trim: true,
+        maxlength: 160,
+        default: "",
+    },
+    // a short line such as "On vacation", shown next to the name
+    statusMessage: {
+        type: String,
+        trim: true,
+        maxlength: 80,
+        default: "",
+    },
+    lastSeen: {
+        type: Date,
+        default: null,
+    },
+    // false until the emailed link is opened. accounts created before verification existed have no value
+    // and are treated as verified
+    emailVerified: {
+        type: Boolean,
+    },
+    emailVerificationTokenHash: {
+        type: String,
+        select: false,
+    },
+    emailVerificationExpires: {
+        type: Date,
+        select: false,
+    },
+    // a requested new address, which replaces email once the link sent to it is opened
+    pendingEmail: {
+        type: String,
+        select: false,
+    },
+    emailChangeTokenHash: {
+        type: String,
+        select: false,
+    },
+    emailChangeExpires: {
+        type: Date,
+        select: false,
+    },
+    // when the last verification email went out, to throttle resends
+    emailVerificationSentAt: {
+        type: Date,
+        select: false,
+    },
+    // sha256 of the emailed reset token, so a database leak doesn't hand out working links
+    passwordResetTokenHash: {
+        type: String,
+        select: false,
+    },
+    passwordResetExpires: {
+        type: Date,
+        select: false,
+    },
+    // TOTP second factor. the secret is only moved to twoFactorSecret once a first code confirmed it
+    twoFactorEnabled: {
+        type: Boolean,
+        default: false,
+    },
+    twoFactorSecret: {
+        type: String,
+        select: false,
+    },
+    twoFactorPendingSecret: {
+        type: String,
+        select: false,
+    },
+    // sha256 of the unused one-time recovery codes
+    twoFactorRecoveryCodes: {
+        type: [String],
+        select: false,
+    },
+    // the time step of the last accepted code, so it can't be used twice
+    twoFactorLastUsedStep: {
+        type: Number,
+        select: false,
+    },
+    twoFactorFailedAttempts: {
+        type: Number,
+        default: 0,
+        select: false,
+    },
+    twoFactorLockedUntil: {
+        type: Date,
+        select: false,
+    },
+    // how often unread messages are summarized by email while the user is offline
+    emailDigestFrequency: {
+        type: String,
+        enum: ["off", "hourly", "daily"],
+        default: "daily",
+    },
+    lastDigestSentAt: {
+        type: Date,
+        select: false,
+    },
+    // messages created up to this point were already in a digest (or skipped), so they are never mentioned twice.
+    // new accounts start at signup, so history from before has no way in
+    digestNotifiedUntil: {
+        type: Date,
+        default: Date.now,
+        select: false,
+    },
+    // users this user refuses messages from; private, so never selected by default
+    blockedUsers: {
+        type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+        select: false,
+    },
+    // partner or group ids whose new messages make no sound and raise no notification
+    mutedChats: {
+        type: [mongoose.Schema.Types.ObjectId],
+        select: false,
+    },
 }, { timestamps: true }); // Automatically adds createdAt and updatedAt fields
 
 const User = mongoose.model("User", userSchema);
@@ -0,0 +1,16 @@
+import express from 'express';
+import { exportAccountData, deleteAccount } from '../controllers/account.controller.js';
+import { protectRoute } from '../middleware/auth.middleware.js';
+import { arcjetProtection } from '../middleware/arcjet.middleware.js';
+
+const router = express.Router();
+
+// both routes check the password, so they are rate limited like the auth routes
+router.use(arcjetProtection, protectRoute);
+
+// a zip of the profile, contacts and every conversation; POST so the password travels in the body
+router.post("/export", exportAccountData);
+// deletes the account for good, with the password (and a 2fa code when enabled)
+router.delete("/", deleteAccount);
+
+export default router;
@@ -1,5 +1,6 @@
 import express from 'express';
-import { signup, login, logout, updateProfile } from '../controllers/auth.controller.js';
+import { signup, login, loginWithTwoFactor, logout, refreshSession, updateProfile, requestPasswordReset, resetPassword, verifyEmail, resendVerificationEmail, changePassword, requestEmailChange, confirmEmailChange } from '../controllers/auth.controller.js';
+import { setupTwoFactor, enableTwoFactor, disableTwoFactor, regenerateRecoveryCodes } from '../controllers/twofactor.controller.js';
 import { protectRoute } from '../middleware/auth.middleware.js';
 import { arcjetProtection } from '../middleware/arcjet.middleware.js';
 
@@ -10,10 +11,32 @@ router.use(arcjetProtection);
 // some routes related to authentication
 router.post("/signup", signup);
 router.post("/login", login);
+// second step for accounts with 2fa: the login token from /login plus an authenticator or recovery code
+router.post("/login/2fa", loginWithTwoFactor);
 router.post("/logout", logout);
+// access tokens last minutes; the refresh cookie (scoped to /api/auth) renews them
+router.post("/refresh", refreshSession);
 
-// route to update user profile
+// forgot password: email a single-use link, then set a new password with its token
+router.post("/forgot-password", requestPasswordReset);
+router.post("/reset-password", resetPassword);
+
+// email verification: the signup email links to verify-email, resends are throttled
+router.post("/verify-email", verifyEmail);
+router.post("/resend-verification", protectRoute, resendVerificationEmail);
+
+// two-factor authentication: setup returns a secret and QR code, enable confirms it with a first code
+router.post("/2fa/setup", protectRoute, setupTwoFactor);
+router.post("/2fa/enable", protectRoute, enableTwoFactor);
+router.post("/2fa/disable", protectRoute, disableTwoFactor);
+router.post("/2fa/recovery-codes", protectRoute, regenerateRecoveryCodes);
+
+// route to update user profile: picture, name, bio and status
 router.put("/update-profile", protectRoute, updateProfile);
+router.put("/change-password", protectRoute, changePassword);
+// changing the email: a link goes to the new address, which takes over once confirm-email is called with its token
+router.post("/change-email", protectRoute, requestEmailChange);
+router.post("/confirm-email", confirmEmailChange);
 
 // check if user is authenticated
 router.get("/check", protectRoute, (req, res) => res.status(200).json(req.user));
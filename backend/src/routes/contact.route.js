@@ -0,0 +1,16 @@
+import express from 'express';
+import { getContactRequests, sendContactRequest, acceptContactRequest, deleteContactRequest, removeContact } from '../controllers/contact.controller.js';
+import { protectRoute, requireVerifiedEmail } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+router.use(protectRoute);
+
+// accepted contacts themselves are listed by GET /api/messages/contacts
+router.get("/requests", getContactRequests);
+router.post("/requests", requireVerifiedEmail, sendContactRequest);
+router.post("/requests/:id/accept", requireVerifiedEmail, acceptContactRequest);
+router.delete("/requests/:id", deleteContactRequest);
+router.delete("/:userId", removeContact);
+
+export default router;
@@ -0,0 +1,15 @@
+import express from 'express';
+import { createGroup, updateGroup, addMembers, removeMember, leaveGroup } from '../controllers/conversation.controller.js';
+import { protectRoute, requireVerifiedEmail } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+router.use(protectRoute);
+
+router.post("/", requireVerifiedEmail, createGroup);
+router.put("/:id", requireVerifiedEmail, updateGroup);
+router.post("/:id/members", requireVerifiedEmail, addMembers);
+router.delete("/:id/members/:userId", requireVerifiedEmail, removeMember);
+router.post("/:id/leave", leaveGroup);
+
+export default router;
@@ -0,0 +1,10 @@
+import express from 'express';
+import { listCapturedEmails, showCapturedEmail } from '../controllers/dev.controller.js';
+
+const router = express.Router();
+
+// emails kept by the capture mail driver; only mounted when NODE_ENV is development
+router.get("/emails", listCapturedEmails);
+router.get("/emails/:id", showCapturedEmail);
+
+export default router;
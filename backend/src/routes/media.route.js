@@ -0,0 +1,9 @@
+import express from 'express';
+import { serveMedia } from '../controllers/media.controller.js';
+import { protectRoute } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+router.get("/:folder/:file", protectRoute, serveMedia);
+
+export default router;
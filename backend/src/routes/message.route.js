@@ -1,12 +1,19 @@
 import express from 'express';
-import { getAllContacts, getMessagesByUserId, sendMessage, getChatPartners } from '../controllers/message.controller.js';
-import { protectRoute } from '../middleware/auth.middleware.js';
+import { getAllContacts, getMessagesByUserId, exportConversation, sendMessage, getChatPartners, markConversationRead, editMessage, deleteMessage, toggleReaction, searchMessages } from '../controllers/message.controller.js';
+import { protectRoute, requireVerifiedEmail } from '../middleware/auth.middleware.js';
 
 const router = express.Router();
 
 router.get("/contacts", protectRoute, getAllContacts);
 router.get("/chats", protectRoute, getChatPartners);
+router.get("/search", protectRoute, searchMessages);
 router.get("/:id", protectRoute, getMessagesByUserId);
-router.post('/send/:id', protectRoute, sendMessage);
+// ?format=html|text|json, optionally bounded by from/to
+router.get("/:id/export", protectRoute, exportConversation);
+router.post('/send/:id', protectRoute, requireVerifiedEmail, sendMessage);
+router.put('/read/:id', protectRoute, markConversationRead);
+router.post('/:id/reactions', protectRoute, requireVerifiedEmail, toggleReaction);
+router.put('/:id', protectRoute, requireVerifiedEmail, editMessage);
+router.delete('/:id', protectRoute, deleteMessage);
 
 export default router;
\ No newline at end of file
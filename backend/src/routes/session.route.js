@@ -0,0 +1,13 @@
+import express from 'express';
+import { getSessions, deleteSession, deleteOtherSessions } from '../controllers/session.controller.js';
+import { protectRoute } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+router.use(protectRoute);
+
+router.get("/", getSessions);
+router.delete("/", deleteOtherSessions);
+router.delete("/:id", deleteSession);
+
+export default router;
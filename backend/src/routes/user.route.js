@@ -0,0 +1,23 @@
+import express from 'express';
+import { getBlockedUsers, blockUser, unblockUser, getMutedChats, muteChat, unmuteChat, updateEmailDigest, getUserProfile } from '../controllers/user.controller.js';
+import { protectRoute } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+router.use(protectRoute);
+
+router.get("/blocked", getBlockedUsers);
+router.post("/blocked/:id", blockUser);
+router.delete("/blocked/:id", unblockUser);
+
+// muted chats are partner or group ids
+router.get("/muted", getMutedChats);
+router.post("/muted/:id", muteChat);
+router.delete("/muted/:id", unmuteChat);
+
+// "off", "hourly" or "daily" emails about unread messages
+router.put("/email-digest", updateEmailDigest);
+
+router.get("/:id/profile", getUserProfile);
+
+export default router;
@@ -4,13 +4,21 @@ import cookieParser from 'cookie-parser';
 
 import authRoutes from './routes/auth.route.js';
 import messageRoutes from './routes/message.route.js';
+import conversationRoutes from './routes/conversation.route.js';
+import userRoutes from './routes/user.route.js';
+import contactRoutes from './routes/contact.route.js';
+import mediaRoutes from './routes/media.route.js';
+import sessionRoutes from './routes/session.route.js';
+import accountRoutes from './routes/account.route.js';
+import devRoutes from './routes/dev.route.js';
 import { connectDB } from './lib/db.js';
 import { ENV } from './lib/env.js';
 import cors from "cors";
+import { app, server } from './lib/socket.js';
+import { isCapturingMail } from './lib/mail/index.js';
+import { startDigestJob } from './lib/digest.js';
 
-const app = express();
-
-app.use(express.json({limit: "5mb"})); // req.body
+app.use(express.json({limit: "100kb"})); // req.body; files come as multipart uploads (see receiveUpload)
 app.use(cors({ origin: ENV.CLIENT_URL, credentials: true })); // to allow requests from frontend
 app.use(cookieParser());
 
@@ -20,6 +28,18 @@ const PORT = ENV.PORT || 3000;
 
 app.use("/api/auth", authRoutes);
 app.use("/api/messages", messageRoutes);
+app.use("/api/conversations", conversationRoutes);
+app.use("/api/users", userRoutes);
+app.use("/api/contacts", contactRoutes);
+app.use("/api/media", mediaRoutes);
+app.use("/api/sessions", sessionRoutes);
+app.use("/api/account", accountRoutes);
+
+// lets developers read captured emails. they hold live reset and verification links,
+// so the route only exists when development is asked for explicitly
+if (ENV.NODE_ENV === "development" && isCapturingMail) {
+  app.use("/api/dev", devRoutes);
+}
 
 // make ready for deployment
 if (ENV.NODE_ENV === "production") {
@@ -30,7 +50,8 @@ if (ENV.NODE_ENV === "production") {
   });
 }
 
-app.listen(PORT, () => {
+server.listen(PORT, () => {
   console.log("Server is running on port: " + PORT);
   connectDB();
+  startDigestJob();
 });
\ No newline at end of file
@@ -2,17 +2,34 @@ import { Navigate, Route, Routes } from "react-router";
 import LoginPage from "./pages/LoginPage";
 import SignUpPage from "./pages/SignUpPage";
 import ChatPage from "./pages/ChatPage";
+import ForgotPasswordPage from "./pages/ForgotPasswordPage";
+import ResetPasswordPage from "./pages/ResetPasswordPage";
+import VerifyEmailPage from "./pages/VerifyEmailPage";
 import { useAuthStore } from "./store/useAuthStore";
 import { useEffect } from "react";
 import PageLoader from "./components/PageLoader";
 import { Toaster } from "react-hot-toast";
+import { refreshSession } from "./lib/axios";
+
+// a little under the server's access token lifetime
+const SESSION_REFRESH_INTERVAL_MS = 10 * 60 * 1000;
 
 function App() {
   const { checkAuth, isCheckingAuth, authUser } = useAuthStore();
+  const isSignedIn = Boolean(authUser);
   useEffect(() => {
     checkAuth();
   }, [checkAuth])
 
+  // renew the access cookie before it expires, so requests the interceptor can't retry (like images) keep working
+  useEffect(() => {
+    if (!isSignedIn) return;
+    const interval = setInterval(() => {
+      refreshSession().catch(() => checkAuth());
+    }, SESSION_REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [isSignedIn, checkAuth])
+
 
   if(isCheckingAuth) return <PageLoader />
 
@@ -25,6 +42,10 @@ function App() {
         <Route path="/" element={authUser ? <ChatPage /> : <Navigate to={"/login"} />} />
         <Route path="/login" element={!authUser ? <LoginPage /> : <Navigate to={"/"} />} />
         <Route path="/signup" element={!authUser ? <SignUpPage /> : <Navigate to={"/"} />} />
+        <Route path="/forgot-password" element={!authUser ? <ForgotPasswordPage /> : <Navigate to={"/"} />} />
+        <Route path="/reset-password/:token" element={<ResetPasswordPage />} />
+        <Route path="/verify-email/:token" element={<VerifyEmailPage />} />
+        <Route path="/confirm-email/:token" element={<VerifyEmailPage isEmailChange />} />
       </Routes>
       <Toaster/>
     </div>
@@ -0,0 +1,113 @@
+import { useState } from "react";
+import { XIcon } from "lucide-react";
+import { createPortal } from "react-dom";
+import { useAuthStore } from "../store/useAuthStore";
+
+const inputClassName = "w-full bg-slate-900/50 border border-slate-700/50 rounded-lg py-2 px-3 text-sm text-slate-200 placeholder-slate-400";
+const buttonClassName = "px-3 py-2 text-sm text-cyan-400 bg-cyan-500/10 rounded-lg hover:bg-cyan-500/20 transition-colors disabled:opacity-50";
+const dangerButtonClassName = "px-3 py-2 text-sm text-red-400 bg-red-500/10 rounded-lg hover:bg-red-500/20 transition-colors disabled:opacity-50";
+
+// "Your data": download everything we store, or delete the account for good
+function AccountModal({ onClose }) {
+  const { authUser, exportAccountData, deleteAccount } = useAuthStore();
+  const [exportPassword, setExportPassword] = useState("");
+  const [deletion, setDeletion] = useState({ password: "", code: "", confirmation: "" });
+  const [pendingSection, setPendingSection] = useState(null);
+
+  const handleExport = async (e) => {
+    e.preventDefault();
+    setPendingSection("export");
+    const isExported = await exportAccountData(exportPassword);
+    setPendingSection(null);
+    if (isExported) setExportPassword("");
+  }
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    setPendingSection("delete");
+    const isDeleted = await deleteAccount(deletion.password, deletion.code);
+    // on success we're signed out and this modal is gone along with the chat page
+    if (!isDeleted) {
+      setPendingSection(null);
+      setDeletion({ ...deletion, code: "" });
+    }
+  }
+
+  return createPortal(
+    <div className="modal modal-open">
+      <div className="modal-box bg-slate-800 text-slate-200 max-h-[90vh]">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-medium">Your data</h3>
+          <button onClick={onClose}>
+            <XIcon className="size-5 text-slate-400 hover:text-slate-200 transition-colors" />
+          </button>
+        </div>
+
+        <h4 className="mb-2 text-xs text-slate-400 uppercase tracking-wide">Export</h4>
+        <p className="mb-2 text-sm text-slate-400">
+          A zip file with your profile, contacts and every conversation you took part in, including photos and files.
+        </p>
+        <form onSubmit={handleExport} className="space-y-2">
+          <input
+            type="password"
+            value={exportPassword}
+            onChange={(e) => setExportPassword(e.target.value)}
+            placeholder="Password"
+            className={inputClassName}
+            required
+          />
+          <button type="submit" disabled={pendingSection === "export"} className={`${buttonClassName} w-full`}>
+            {pendingSection === "export" ? "Preparing download…" : "Download my data"}
+          </button>
+        </form>
+
+        <h4 className="mt-6 mb-2 text-xs text-red-400 uppercase tracking-wide">Delete account</h4>
+        <p className="mb-2 text-sm text-slate-400">
+          Your profile, photos and files are removed and you leave all groups. Messages you sent stay in other
+          people's chats under "Deleted user". This can't be undone.
+        </p>
+        <form onSubmit={handleDelete} className="space-y-2">
+          <input
+            type="password"
+            value={deletion.password}
+            onChange={(e) => setDeletion({ ...deletion, password: e.target.value })}
+            placeholder="Password"
+            className={inputClassName}
+            required
+          />
+          {authUser.twoFactorEnabled && (
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              value={deletion.code}
+              onChange={(e) => setDeletion({ ...deletion, code: e.target.value })}
+              placeholder="Authenticator or recovery code"
+              className={inputClassName}
+              required
+            />
+          )}
+          <input
+            type="text"
+            value={deletion.confirmation}
+            onChange={(e) => setDeletion({ ...deletion, confirmation: e.target.value })}
+            placeholder='Type "DELETE" to confirm'
+            className={inputClassName}
+            required
+          />
+          <button
+            type="submit"
+            disabled={pendingSection === "delete" || deletion.confirmation !== "DELETE"}
+            className={`${dangerButtonClassName} w-full`}
+          >
+            Delete my account
+          </button>
+        </form>
+      </div>
+      <div className="modal-backdrop" onClick={onClose} />
+    </div>,
+    document.body
+  );
+}
+
+export default AccountModal;
@@ -15,6 +15,11 @@ function ActiveTabSwitch() {
         className={`tab ${
           activeTab === "contacts" ? "bg-cyan-500/20 text-cyan-400" : "text-slate-400"
         }`}>Contacts</button>
+      <button 
+        onClick={() => setActiveTab("search")} 
+        className={`tab ${
+          activeTab === "search" ? "bg-cyan-500/20 text-cyan-400" : "text-slate-400"
+        }`}>Search</button>
     </div>
   )
 }
@@ -0,0 +1,34 @@
+import { DownloadIcon, FileIcon } from "lucide-react";
+import { formatFileSize } from "../lib/utils";
+
+// download card for a file that isn't shown inline
+function AttachmentCard({ attachment, isPending }) {
+  const content = (
+    <>
+      <FileIcon className="size-8 shrink-0 opacity-80" />
+      <div className="min-w-0 flex-1">
+        <p className="text-sm font-medium truncate">{attachment.name}</p>
+        <p className="text-xs opacity-75">{formatFileSize(attachment.size)}</p>
+      </div>
+      {!isPending && <DownloadIcon className="size-4 shrink-0 opacity-75" />}
+    </>
+  );
+
+  // the optimistic copy has nothing to download yet
+  if (isPending) {
+    return <div className="flex items-center gap-3 bg-black/20 rounded-lg p-3 w-64 max-w-full">{content}</div>;
+  }
+  return (
+    <a
+      href={attachment.url}
+      download={attachment.name}
+      target="_blank"
+      rel="noreferrer"
+      className="flex items-center gap-3 bg-black/20 rounded-lg p-3 w-64 max-w-full hover:bg-black/30 transition-colors"
+    >
+      {content}
+    </a>
+  );
+}
+
+export default AttachmentCard;
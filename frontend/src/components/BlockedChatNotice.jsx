@@ -0,0 +1,17 @@
+import { useChatStore } from "../store/useChatStore";
+
+// takes the place of the message input in a chat with a blocked user
+function BlockedChatNotice({ userId }) {
+  const { unblockUser } = useChatStore();
+
+  return (
+    <div className="p-4 border-t border-slate-700/50 flex items-center justify-center gap-3 text-sm text-slate-400">
+      <span>You blocked this user.</span>
+      <button className="text-cyan-400 hover:text-cyan-300 transition-colors" onClick={() => unblockUser(userId)}>
+        Unblock
+      </button>
+    </div>
+  )
+}
+
+export default BlockedChatNotice
@@ -0,0 +1,43 @@
+import { XIcon } from "lucide-react";
+import { createPortal } from "react-dom";
+import { useChatStore } from "../store/useChatStore";
+
+function BlockedUsersModal({ onClose }) {
+  const { blockedUsers, unblockUser } = useChatStore();
+
+  return createPortal(
+    <div className="modal modal-open">
+      <div className="modal-box bg-slate-800 text-slate-200">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-medium">Blocked users</h3>
+          <button onClick={onClose}>
+            <XIcon className="size-5 text-slate-400 hover:text-slate-200 transition-colors" />
+          </button>
+        </div>
+
+        {blockedUsers.length === 0 ? (
+          <p className="text-sm text-slate-400">You haven't blocked anyone.</p>
+        ) : (
+          <div className="max-h-72 overflow-y-auto space-y-1">
+            {blockedUsers.map((user) => (
+              <div key={user._id} className="flex items-center gap-3 p-2 rounded-lg">
+                <img src={user.profilePic || "/avatar.png"} alt={user.fullName} className="size-8 rounded-full" />
+                <span className="flex-1 truncate">{user.fullName}</span>
+                <button
+                  onClick={() => unblockUser(user._id)}
+                  className="px-3 py-1 text-xs text-cyan-400 bg-cyan-500/10 rounded-lg hover:bg-cyan-500/20 transition-colors"
+                >
+                  Unblock
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+      <div className="modal-backdrop" onClick={onClose} />
+    </div>,
+    document.body
+  );
+}
+
+export default BlockedUsersModal;
@@ -1,53 +1,189 @@
-import { useEffect, useRef } from "react";
+import { useEffect, useLayoutEffect, useRef, useState } from "react";
 import { useAuthStore } from "../store/useAuthStore";
 import { useChatStore } from "../store/useChatStore"
 import ChatHeader from "./ChatHeader";
 import NoChatHistoryPlaceholder from "./NoChatHistoryPlaceholder";
 import MessageInput from "./MessageInput";
+import BlockedChatNotice from "./BlockedChatNotice";
+import EmailVerificationNotice from "./EmailVerificationNotice";
+import DeletedAccountNotice from "./DeletedAccountNotice";
 import MessagesLoadingSkeleton from "./MessagesLoadingSkeleton";
+import MessageBubble from "./MessageBubble";
+import { ArrowDownIcon, LoaderIcon } from "lucide-react";
+import { getChatName, getParticipantName } from "../lib/utils";
+
+// start loading the previous/next page when scrolled this close to the top/bottom
+const LOAD_PAGE_THRESHOLD_PX = 80;
 
 function ChatContainer() {
-  const {selectedUser, getMessagesByUserId, messages, isMessagesLoading} = useChatStore();
+  const {selectedUser, getMessagesByUserId, messages, isMessagesLoading, typingUsers, markMessagesAsRead, hasMoreMessages, isLoadingOlderMessages, loadOlderMessages, loadMessagesUntil, hasNewerMessages, isLoadingNewerMessages, loadNewerMessages, jumpTargetId, clearJumpTarget, blockedUsers, chats} = useChatStore();
   const {authUser} = useAuthStore();
   const messageEndRef = useRef(null);
+  const scrollContainerRef = useRef(null);
+  const scrollAnchorRef = useRef(null);
+  const wasAtLiveEndRef = useRef(true);
+  const lastMessageId = messages.at(-1)?._id;
+  const [scrollTargetId, setScrollTargetId] = useState(null);
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+  const isPartnerTyping = Boolean(typingUsers[selectedUser._id]);
+  const isBlocked = !selectedUser.isGroup && blockedUsers.some((user) => user._id === selectedUser._id);
+  // a group message's readAt only says someone read it, so in groups our own unread count decides
+  const hasGroupUnread = selectedUser.isGroup && chats.some((chat) => chat._id === selectedUser._id && chat.unreadCount > 0);
+
+  // names for bubble labels, quotes and reaction tooltips; in groups, other members' bubbles are labelled
+  const getUserName = (userId) => getParticipantName(selectedUser, userId, authUser._id);
 
   useEffect(() => {
     getMessagesByUserId(selectedUser._id);
-  }, [selectedUser, getMessagesByUserId])
+  }, [selectedUser._id, getMessagesByUserId])
+  // mark the partner's messages read while this conversation is actually on screen
   useEffect(() => {
+    const lastUnread = messages.findLast((msg) => msg.senderId !== authUser._id && (!msg.readAt || hasGroupUnread));
+    if (!lastUnread) return;
+
+    const markIfVisible = () => {
+      if (document.visibilityState === "visible") markMessagesAsRead(lastUnread._id);
+    }
+    markIfVisible();
+    document.addEventListener("visibilitychange", markIfVisible);
+    return () => document.removeEventListener("visibilitychange", markIfVisible);
+  }, [messages, authUser._id, markMessagesAsRead, hasGroupUnread])
+
+  // only follow the bottom when something new arrives at the live end of the chat,
+  // not when older pages are prepended, newer pages of an older window are appended, or a jump is pending
+  useEffect(() => {
+    const { hasNewerMessages, jumpTargetId } = useChatStore.getState();
+    if (!wasAtLiveEndRef.current || hasNewerMessages || jumpTargetId) return;
     if (messageEndRef.current) {
       messageEndRef.current.scrollIntoView({ behavior: "smooth" });
     }
+  }, [lastMessageId, isPartnerTyping]);
+
+  // declared after the effect above so it sees whether we were at the live end before this update
+  useEffect(() => {
+    wasAtLiveEndRef.current = !hasNewerMessages;
+  }, [hasNewerMessages]);
+
+  // a jump requested from elsewhere (e.g. search) scrolls once its message is loaded
+  useEffect(() => {
+    if (!jumpTargetId || isMessagesLoading) return;
+    if (!messages.some((msg) => msg._id === jumpTargetId)) return;
+    setScrollTargetId(jumpTargetId);
+    clearJumpTarget();
+  }, [jumpTargetId, isMessagesLoading, messages, clearJumpTarget]);
+
+  // keep the message that was at the top in the same place after older ones are prepended
+  useLayoutEffect(() => {
+    const anchor = scrollAnchorRef.current;
+    const container = scrollContainerRef.current;
+    if (!anchor || !container) return;
+
+    const anchorEl = container.querySelector(`[data-message-id="${anchor.id}"]`);
+    if (anchorEl) {
+      const newOffset = anchorEl.getBoundingClientRect().top - container.getBoundingClientRect().top;
+      container.scrollTop += newOffset - anchor.offset;
+    }
+    scrollAnchorRef.current = null;
   }, [messages]);
+
+  // once a jump target is rendered, bring it into view and flash it
+  useEffect(() => {
+    if (!scrollTargetId) return;
+    const targetEl = scrollContainerRef.current?.querySelector(`[data-message-id="${scrollTargetId}"]`);
+    if (!targetEl) return;
+
+    targetEl.scrollIntoView({ behavior: "smooth", block: "center" });
+    setHighlightedMessageId(scrollTargetId);
+    setScrollTargetId(null);
+  }, [scrollTargetId, messages]);
+
+  useEffect(() => {
+    if (!highlightedMessageId) return;
+    const timeout = setTimeout(() => setHighlightedMessageId(null), 2000);
+    return () => clearTimeout(timeout);
+  }, [highlightedMessageId]);
+
+  const scrollToMessage = async (messageId) => {
+    const isLoaded = await loadMessagesUntil(messageId);
+    if (isLoaded) setScrollTargetId(messageId);
+  }
+
+  const handleScroll = (e) => {
+    const container = e.currentTarget;
+    const distanceToBottom = container.scrollHeight - container.scrollTop - container.clientHeight;
+    if (distanceToBottom < LOAD_PAGE_THRESHOLD_PX && hasNewerMessages && !isLoadingNewerMessages) {
+      loadNewerMessages();
+    }
+    if (container.scrollTop > LOAD_PAGE_THRESHOLD_PX || !hasMoreMessages || isLoadingOlderMessages) return;
+
+    const firstEl = container.querySelector("[data-message-id]");
+    if (firstEl) {
+      scrollAnchorRef.current = {
+        id: firstEl.dataset.messageId,
+        offset: firstEl.getBoundingClientRect().top - container.getBoundingClientRect().top,
+      };
+    }
+    loadOlderMessages();
+  }
   return (
     <>
       <ChatHeader />
-      <div className="flex-1 px-6 overflow-y-auto py-8">
+      <div ref={scrollContainerRef} onScroll={handleScroll} className="flex-1 px-6 overflow-y-auto py-8 relative">
         {messages.length > 0 && !isMessagesLoading ? (
           <div className="max-w-3xl mx-auto space-y-6">
+            {isLoadingOlderMessages && (
+              <div className="flex justify-center">
+                <LoaderIcon className="size-5 animate-spin text-slate-400" />
+              </div>
+            )}
             {messages.map(msg => (
-              <div key={msg._id} className={`chat ${msg.senderId === authUser._id ? "chat-end" : "chat-start"}`}>
-                <div className={`chat-bubble relative ${msg.senderId === authUser._id ? "bg-cyan-600 text-white" : "bg-slate-800 text-slate-200"}`}>
-                  {msg.image && (
-                    <img src={msg.image} alt="Shared" className="rounded-lg h-48 object-cover" />
-                  )}
-                  {msg.text && <p className="mt-2">{msg.text}</p>}
-                  <p className="text-xs mt-1 opacity-75 flex items-center gap-1">
-                    {new Date(msg.createdAt).toLocaleTimeString(undefined, {
-                      hour: "2-digit",
-                      minute: "2-digit",
-                    })}
-                  </p>
+              <MessageBubble
+                key={msg._id}
+                message={msg}
+                isOwn={msg.senderId === authUser._id}
+                senderName={selectedUser.isGroup && msg.senderId !== authUser._id ? getUserName(msg.senderId) : null}
+                getUserName={getUserName}
+                onQuoteClick={scrollToMessage}
+                isHighlighted={msg._id === highlightedMessageId}
+              />
+            ))}
+            {isLoadingNewerMessages && (
+              <div className="flex justify-center">
+                <LoaderIcon className="size-5 animate-spin text-slate-400" />
+              </div>
+            )}
+            {isPartnerTyping && !hasNewerMessages && (
+              <div className="chat chat-start">
+                <div className="chat-bubble bg-slate-800 text-slate-400 flex items-center gap-2">
+                  <span className="loading loading-dots loading-sm"></span>
+                  <span className="text-sm">typing…</span>
                 </div>
               </div>
-            ))}
+            )}
             <div ref={messageEndRef} />
           </div>
         ) : isMessagesLoading ? <MessagesLoadingSkeleton /> : (
-          <NoChatHistoryPlaceholder name={selectedUser.fullName} />
+          <NoChatHistoryPlaceholder name={getChatName(selectedUser)} />
+        )}
+        {hasNewerMessages && !isMessagesLoading && (
+          <button
+            onClick={() => getMessagesByUserId(selectedUser._id)}
+            className="sticky bottom-0 float-right flex items-center gap-1 px-3 py-1.5 text-xs text-cyan-400 bg-slate-800 border border-slate-700 rounded-full hover:bg-slate-700 transition-colors"
+          >
+            <ArrowDownIcon className="size-3" />
+            Jump to latest
+          </button>
         )}
       </div>
-      <MessageInput />
+      {selectedUser.isDeleted ? (
+        <DeletedAccountNotice />
+      ) : authUser.emailVerified === false ? (
+        <EmailVerificationNotice />
+      ) : isBlocked ? (
+        <BlockedChatNotice userId={selectedUser._id} />
+      ) : (
+        <MessageInput />
+      )}
     </>
   )
 }
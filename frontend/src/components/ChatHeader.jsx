@@ -1,9 +1,34 @@
-import React, { useEffect } from 'react'
+import React, { useEffect, useState } from 'react'
 import { useChatStore } from '../store/useChatStore';
-import {XIcon} from 'lucide-react'
+import { useAuthStore } from '../store/useAuthStore';
+import { formatLastSeen, getChatAvatar, getChatName } from '../lib/utils';
+import {BanIcon, BellIcon, BellOffIcon, DownloadIcon, UsersIcon, XIcon} from 'lucide-react'
+import GroupSettingsModal from './GroupSettingsModal';
+import UserProfileModal from './UserProfileModal';
+import ExportChatModal from './ExportChatModal';
 
 function ChatHeader() {
-    const { selectedUser, setSelectedUser } = useChatStore();
+    const { selectedUser, setSelectedUser, typingUsers, blockedUsers, blockUser, unblockUser, mutedChatIds, toggleMute } = useChatStore();
+    const { onlineUsers, lastSeenByUser } = useAuthStore();
+    const [, setNow] = useState(Date.now());
+    const [isGroupSettingsOpen, setIsGroupSettingsOpen] = useState(false);
+    const [isProfileOpen, setIsProfileOpen] = useState(false);
+    const [isExportOpen, setIsExportOpen] = useState(false);
+    const isGroup = selectedUser.isGroup;
+    const isOnline = !isGroup && onlineUsers.includes(selectedUser._id);
+    const lastSeen = lastSeenByUser[selectedUser._id] || selectedUser.lastSeen;
+    const typingUserId = typingUsers[selectedUser._id];
+    const isBlocked = !isGroup && blockedUsers.some((user) => user._id === selectedUser._id);
+    const isMuted = mutedChatIds.includes(selectedUser._id);
+    // a deleted partner has no profile, presence or block to show, only the history
+    const isDeleted = Boolean(selectedUser.isDeleted);
+    const hasProfile = !isGroup && !isDeleted;
+
+    // re-render every minute so "last seen x min ago" stays fresh
+    useEffect(() => {
+        const interval = setInterval(() => setNow(Date.now()), 60000);
+        return () => clearInterval(interval);
+    }, [])
     useEffect(() => {
         const handleEscKey = (event) => {
             if(event.key === 'Escape') setSelectedUser(null)
@@ -13,25 +38,80 @@ function ChatHeader() {
         // Some Cleanup for function
         return () => window.removeEventListener('keydown', handleEscKey)
     }, [setSelectedUser])
+
+    const getStatusText = () => {
+        if (isGroup) {
+            const onlineCount = selectedUser.members.filter((member) => onlineUsers.includes(member._id)).length;
+            return `${selectedUser.members.length} members, ${onlineCount} online`;
+        }
+        if (isDeleted) return "Account deleted";
+        return isOnline ? "Online" : `Last seen ${formatLastSeen(lastSeen)}`;
+    }
+
+    const getTypingText = () => {
+        if (!isGroup) return "typing…";
+        const typingMember = selectedUser.members.find((member) => member._id === typingUserId);
+        return `${typingMember?.fullName || "Someone"} is typing…`;
+    }
   return (
     <div className='flex justify-between items-center bg-slate-800/50 border-b border-slate-700/50 max-h-[84px] px-6 flex-1'>
-        <div className='flex items-center space-x-3'>
-            <div className='avatar online'>
+        {/* in 1:1 chats, the partner's avatar and name open their profile card */}
+        <div
+            className={`flex items-center space-x-3 ${hasProfile ? "cursor-pointer" : ""}`}
+            onClick={() => hasProfile && setIsProfileOpen(true)}
+        >
+            <div className={`avatar ${hasProfile ? (isOnline ? "online" : "offline") : ""}`}>
                 <div className='w-12 rounded-full'>
-                    <img src={selectedUser.profilePic || "/avatar.png"} alt={selectedUser.fullName} />
+                    <img src={getChatAvatar(selectedUser)} alt={getChatName(selectedUser)} />
                 </div>
             </div>
 
             <div>
-                <h3 className='text-slate-200 font-medium'>{selectedUser.fullName}</h3>
-                <p className='text-slate-400 text-sm'>Online</p>
+                <h3 className='text-slate-200 font-medium'>{getChatName(selectedUser)}</h3>
+                {typingUserId ? (
+                    <p className='text-cyan-400 text-sm'>{getTypingText()}</p>
+                ) : (
+                    <p className='text-slate-400 text-sm'>{getStatusText()}</p>
+                )}
             </div>
         </div>
-        <button onClick={() => setSelectedUser(null)}>
-            <XIcon className='w-5 h-5 text-slate-400 hover:text-slate-200 transition-colors cursor-pointer' />
-        </button>
+        <div className='flex items-center gap-4'>
+            <button onClick={() => toggleMute(selectedUser._id)} title={isMuted ? "Unmute" : "Mute"}>
+                {isMuted ? (
+                    <BellOffIcon className='w-5 h-5 text-slate-400 hover:text-slate-200 transition-colors cursor-pointer' />
+                ) : (
+                    <BellIcon className='w-5 h-5 text-slate-400 hover:text-slate-200 transition-colors cursor-pointer' />
+                )}
+            </button>
+            <button onClick={() => setIsExportOpen(true)} title="Export chat">
+                <DownloadIcon className='w-5 h-5 text-slate-400 hover:text-slate-200 transition-colors cursor-pointer' />
+            </button>
+            {hasProfile && (
+                <button
+                    onClick={() => (isBlocked ? unblockUser(selectedUser._id) : blockUser(selectedUser._id))}
+                    title={isBlocked ? "Unblock" : "Block"}
+                >
+                    <BanIcon className={`w-5 h-5 transition-colors cursor-pointer ${isBlocked ? "text-red-400 hover:text-red-300" : "text-slate-400 hover:text-slate-200"}`} />
+                </button>
+            )}
+            {isGroup && (
+                <button onClick={() => setIsGroupSettingsOpen(true)}>
+                    <UsersIcon className='w-5 h-5 text-slate-400 hover:text-slate-200 transition-colors cursor-pointer' />
+                </button>
+            )}
+            <button onClick={() => setSelectedUser(null)}>
+                <XIcon className='w-5 h-5 text-slate-400 hover:text-slate-200 transition-colors cursor-pointer' />
+            </button>
+        </div>
+        {hasProfile && isProfileOpen && (
+            <UserProfileModal userId={selectedUser._id} onClose={() => setIsProfileOpen(false)} />
+        )}
+        {isExportOpen && <ExportChatModal chat={selectedUser} onClose={() => setIsExportOpen(false)} />}
+        {isGroup && isGroupSettingsOpen && (
+            <GroupSettingsModal group={selectedUser} onClose={() => setIsGroupSettingsOpen(false)} />
+        )}
     </div>
   )
 }
 
-export default ChatHeader
\ No newline at end of file
+export default ChatHeader
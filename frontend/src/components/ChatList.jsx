@@ -1,19 +1,33 @@
-import { useEffect } from "react";
+import { useEffect, useState } from "react";
+import { UsersIcon } from "lucide-react";
 import { useChatStore } from "../store/useChatStore";
+import { useAuthStore } from "../store/useAuthStore";
 import UsersLoadingSkeleton from "./UsersLoadingSkeleton";
 import NoChatsFound from "./NoChatsFound";
+import CreateGroupModal from "./CreateGroupModal";
+import { formatChatTime, getChatAvatar, getChatName, getMessagePreview, getParticipantName } from "../lib/utils";
 
 function ChatList() {
-  const { getMyChatPartners, chats, isUsersLoading, setSelectedUser } = useChatStore();
+  const { getMyChatPartners, chats, isUsersLoading, setSelectedUser, typingUsers } = useChatStore();
+  const { onlineUsers, authUser } = useAuthStore();
+  const [isCreateGroupOpen, setIsCreateGroupOpen] = useState(false);
 
   useEffect(() => {
     getMyChatPartners();
   }, [getMyChatPartners])
 
   if(isUsersLoading) return <UsersLoadingSkeleton />
-  if(chats.length === 0) return <NoChatsFound />
   return (
     <>
+    <button
+      onClick={() => setIsCreateGroupOpen(true)}
+      className="w-full flex items-center justify-center gap-2 px-4 py-2 text-sm text-cyan-400 bg-cyan-500/10 rounded-lg hover:bg-cyan-500/20 transition-colors"
+    >
+      <UsersIcon className="size-4" />
+      New group
+    </button>
+    {isCreateGroupOpen && <CreateGroupModal onClose={() => setIsCreateGroupOpen(false)} />}
+    {chats.length === 0 && <NoChatsFound />}
     {chats.map((chat) => (
       <div 
         key={chat._id}
@@ -21,12 +35,37 @@ function ChatList() {
         onClick={() => setSelectedUser(chat)}
       >
         <div className="flex items-center gap-3">
-          <div className="avatar online">
+          <div className={`avatar ${chat.isGroup ? "" : onlineUsers.includes(chat._id) ? "online" : "offline"}`}>
             <div className="size-12 rounded-full">
-              <img src={chat.profilePic || "/avatar.png"} alt={chat.fullName} />
+              <img src={getChatAvatar(chat)} alt={getChatName(chat)} />
+            </div>
+          </div>
+          <div className="min-w-0 flex-1">
+            <div className="flex items-baseline justify-between gap-2">
+              <h4 className="text-slate-200 font-medium truncate">{getChatName(chat)}</h4>
+              {chat.lastMessage && (
+                <span className="text-slate-500 text-xs shrink-0">{formatChatTime(chat.lastMessage.createdAt)}</span>
+              )}
+            </div>
+            <div className="flex items-center justify-between gap-2">
+              {typingUsers[chat._id] ? (
+                <p className="text-cyan-400 text-xs truncate">typing...</p>
+              ) : chat.lastMessage ? (
+                <p className={`text-xs truncate ${chat.unreadCount ? "text-slate-200" : "text-slate-400"}`}>
+                  {(chat.isGroup || chat.lastMessage.senderId === authUser._id) &&
+                    `${getParticipantName(chat, chat.lastMessage.senderId, authUser._id)}: `}
+                  {getMessagePreview(chat.lastMessage)}
+                </p>
+              ) : (
+                chat.isGroup && <p className="text-slate-400 text-xs">{chat.members.length} members</p>
+              )}
+              {chat.unreadCount > 0 && (
+                <span className="badge badge-sm bg-cyan-500 border-none text-slate-900 shrink-0">
+                  {chat.unreadCount > 99 ? "99+" : chat.unreadCount}
+                </span>
+              )}
             </div>
           </div>
-          <h4 className="text-slate-200 font-medium truncate">{chats.fullName}</h4>
         </div>
       </div>
     ))}
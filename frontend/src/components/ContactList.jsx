@@ -1,35 +1,118 @@
-import { useEffect } from "react";
+import { useEffect, useState } from "react";
+import { CheckIcon, UserMinusIcon, UserPlusIcon, XIcon } from "lucide-react";
 import { useChatStore } from "../store/useChatStore";
+import { useAuthStore } from "../store/useAuthStore";
 import UsersLoadingSkeleton from "./UsersLoadingSkeleton";
 
 function ContactList() {
-  const { getAllContacts, allContacts, isUsersLoading, setSelectedUser } = useChatStore();
+  const {
+    getAllContacts, allContacts, isUsersLoading, setSelectedUser,
+    contactRequests, getContactRequests, sendContactRequest, acceptContactRequest, deleteContactRequest, removeContact,
+  } = useChatStore();
+  const { onlineUsers, authUser } = useAuthStore();
+  const [email, setEmail] = useState("");
+  const [isSending, setIsSending] = useState(false);
+  const { incoming, outgoing } = contactRequests;
 
   useEffect(() => {
     getAllContacts();
-  }, [getAllContacts]);
+    getContactRequests();
+  }, [getAllContacts, getContactRequests]);
+
+  const handleSendRequest = async (e) => {
+    e.preventDefault();
+    if (!email.trim() || isSending) return;
+    setIsSending(true);
+    const sent = await sendContactRequest(email.trim());
+    setIsSending(false);
+    if (sent) setEmail("");
+  }
 
-  if (isUsersLoading) return <UsersLoadingSkeleton />
   return (
     <>
-      {allContacts.map((contact) => (
-        <div 
-          key={contact._id}
-          className="bg-cyan-500/10 p-4 rounded-lg cursor-pointer hover:bg-cyan-500/20 transition-colors"
-          onClick={() => setSelectedUser(contact)}
-        >
-          <div className="flex items-center gap-3">
-            <div className="avatar online">
-                <div className="size-12 rounded-full">
-                  <img src={contact.profilePic || "/avatar.png"} alt={contact.fullName} />
-                </div>
+      {authUser.emailVerified === false ? (
+        <p className="text-xs text-slate-400 px-1">Verify your email to add contacts.</p>
+      ) : (
+        <form onSubmit={handleSendRequest} className="flex gap-2">
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="Add contact by email"
+            className="flex-1 min-w-0 bg-slate-800/50 border border-slate-700/50 rounded-lg py-2 px-3 text-sm text-slate-200 placeholder-slate-400"
+          />
+          <button
+            type="submit"
+            disabled={!email.trim() || isSending}
+            className="px-3 text-cyan-400 bg-cyan-500/10 rounded-lg hover:bg-cyan-500/20 transition-colors disabled:opacity-50"
+            title="Send contact request"
+          >
+            <UserPlusIcon className="size-4" />
+          </button>
+        </form>
+      )}
+
+      {(incoming.length > 0 || outgoing.length > 0) && (
+        <div className="space-y-1">
+          <h4 className="text-xs text-slate-400 uppercase tracking-wide px-1">Pending requests</h4>
+          {incoming.map((request) => (
+            <div key={request._id} className="flex items-center gap-3 p-2 rounded-lg bg-slate-800/50">
+              <img src={request.user.profilePic || "/avatar.png"} alt={request.user.fullName} className="size-8 rounded-full" />
+              <span className="flex-1 truncate text-sm text-slate-200">{request.user.fullName}</span>
+              <button onClick={() => acceptContactRequest(request._id)} title="Accept">
+                <CheckIcon className="size-4 text-slate-400 hover:text-cyan-400 transition-colors" />
+              </button>
+              <button onClick={() => deleteContactRequest(request._id)} title="Decline">
+                <XIcon className="size-4 text-slate-400 hover:text-red-400 transition-colors" />
+              </button>
             </div>
-            <h4 className="text-slate-200 font-medium truncate">{contact.fullName}</h4>
-          </div>
+          ))}
+          {outgoing.map((request) => (
+            <div key={request._id} className="flex items-center gap-3 p-2 rounded-lg bg-slate-800/50">
+              <img src="/avatar.png" alt={request.user.email} className="size-8 rounded-full" />
+              <span className="flex-1 truncate text-sm text-slate-400">{request.user.email}</span>
+              <span className="text-xs text-slate-500">Sent</span>
+              <button onClick={() => deleteContactRequest(request._id)} title="Cancel request">
+                <XIcon className="size-4 text-slate-400 hover:text-red-400 transition-colors" />
+              </button>
+            </div>
+          ))}
         </div>
-    ))}
+      )}
+
+      {isUsersLoading ? (
+        <UsersLoadingSkeleton />
+      ) : allContacts.length === 0 ? (
+        <p className="text-sm text-slate-400 text-center py-4">No contacts yet. Add someone by their email.</p>
+      ) : (
+        allContacts.map((contact) => (
+          <div
+            key={contact._id}
+            className="bg-cyan-500/10 p-4 rounded-lg cursor-pointer hover:bg-cyan-500/20 transition-colors"
+            onClick={() => setSelectedUser(contact)}
+          >
+            <div className="flex items-center gap-3">
+              <div className={`avatar ${onlineUsers.includes(contact._id) ? "online" : "offline"}`}>
+                  <div className="size-12 rounded-full">
+                    <img src={contact.profilePic || "/avatar.png"} alt={contact.fullName} />
+                  </div>
+              </div>
+              <h4 className="flex-1 text-slate-200 font-medium truncate">{contact.fullName}</h4>
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  removeContact(contact._id);
+                }}
+                title="Remove contact"
+              >
+                <UserMinusIcon className="size-4 text-slate-400 hover:text-red-400 transition-colors" />
+              </button>
+            </div>
+          </div>
+        ))
+      )}
     </>
   )
 }
 
-export default ContactList
\ No newline at end of file
+export default ContactList
@@ -0,0 +1,72 @@
+import { useEffect, useState } from "react";
+import { LoaderIcon, XIcon } from "lucide-react";
+import { createPortal } from "react-dom";
+import { useChatStore } from "../store/useChatStore";
+
+function CreateGroupModal({ onClose }) {
+  const { allContacts, getAllContacts, createGroup } = useChatStore();
+  const [name, setName] = useState("");
+  const [memberIds, setMemberIds] = useState([]);
+  const [isCreating, setIsCreating] = useState(false);
+
+  useEffect(() => {
+    getAllContacts();
+  }, [getAllContacts]);
+
+  const toggleMember = (userId) => {
+    setMemberIds((ids) => (ids.includes(userId) ? ids.filter((id) => id !== userId) : [...ids, userId]));
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsCreating(true);
+    const created = await createGroup({ name: name.trim(), memberIds });
+    setIsCreating(false);
+    if (created) onClose();
+  }
+
+  // portalled to body so the sidebar's backdrop blur doesn't clip the fixed overlay
+  return createPortal(
+    <div className="modal modal-open">
+      <div className="modal-box bg-slate-800 text-slate-200">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-medium">New group</h3>
+          <button onClick={onClose}>
+            <XIcon className="size-5 text-slate-400 hover:text-slate-200 transition-colors" />
+          </button>
+        </div>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            className="w-full bg-slate-900/50 border border-slate-700 rounded-lg py-2 px-4 text-slate-200 placeholder-slate-400"
+            placeholder="Group name"
+            maxLength={100}
+          />
+          <div className="max-h-64 overflow-y-auto space-y-2">
+            {allContacts.map((contact) => (
+              <label key={contact._id} className="flex items-center gap-3 p-2 rounded-lg hover:bg-slate-700/50 cursor-pointer">
+                <input
+                  type="checkbox"
+                  className="checkbox checkbox-sm checkbox-info"
+                  checked={memberIds.includes(contact._id)}
+                  onChange={() => toggleMember(contact._id)}
+                />
+                <img src={contact.profilePic || "/avatar.png"} alt={contact.fullName} className="size-8 rounded-full" />
+                <span className="truncate">{contact.fullName}</span>
+              </label>
+            ))}
+          </div>
+          <button className="auth-btn" type="submit" disabled={isCreating || !name.trim() || memberIds.length === 0}>
+            {isCreating ? <LoaderIcon className="w-full h-5 animate-spin text-center" /> : "Create group"}
+          </button>
+        </form>
+      </div>
+      <div className="modal-backdrop" onClick={onClose} />
+    </div>,
+    document.body
+  );
+}
+
+export default CreateGroupModal;
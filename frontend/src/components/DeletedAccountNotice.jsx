@@ -0,0 +1,10 @@
+// takes the place of the message input in a chat whose partner deleted their account
+function DeletedAccountNotice() {
+  return (
+    <div className="p-4 border-t border-slate-700/50 flex items-center justify-center text-sm text-slate-400">
+      This account has been deleted. You can still read your conversation.
+    </div>
+  )
+}
+
+export default DeletedAccountNotice
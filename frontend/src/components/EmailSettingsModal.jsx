@@ -0,0 +1,52 @@
+import { XIcon } from "lucide-react";
+import { createPortal } from "react-dom";
+import { useAuthStore } from "../store/useAuthStore";
+
+const DIGEST_OPTIONS = [
+  { value: "daily", label: "Daily", description: "At most one email a day" },
+  { value: "hourly", label: "Hourly", description: "At most one email an hour" },
+  { value: "off", label: "Off", description: "Never email me about unread messages" },
+];
+
+function EmailSettingsModal({ onClose }) {
+  const { authUser, updateEmailDigest } = useAuthStore();
+  const frequency = authUser.emailDigestFrequency || "daily";
+
+  return createPortal(
+    <div className="modal modal-open">
+      <div className="modal-box bg-slate-800 text-slate-200">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-medium">Email settings</h3>
+          <button onClick={onClose}>
+            <XIcon className="size-5 text-slate-400 hover:text-slate-200 transition-colors" />
+          </button>
+        </div>
+
+        <p className="text-sm text-slate-400 mb-3">
+          While you're offline, we can email you a summary of messages you haven't read. Muted chats are left out.
+        </p>
+        <div className="space-y-1">
+          {DIGEST_OPTIONS.map((option) => (
+            <label key={option.value} className="flex items-center gap-3 p-2 rounded-lg cursor-pointer hover:bg-slate-700/50">
+              <input
+                type="radio"
+                name="emailDigestFrequency"
+                className="radio radio-sm radio-info"
+                checked={frequency === option.value}
+                onChange={() => updateEmailDigest(option.value)}
+              />
+              <div>
+                <p className="text-sm">{option.label}</p>
+                <p className="text-xs text-slate-400">{option.description}</p>
+              </div>
+            </label>
+          ))}
+        </div>
+      </div>
+      <div className="modal-backdrop" onClick={onClose} />
+    </div>,
+    document.body
+  );
+}
+
+export default EmailSettingsModal;
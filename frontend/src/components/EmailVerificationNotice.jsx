@@ -0,0 +1,31 @@
+import { useState } from "react";
+import { MailWarningIcon } from "lucide-react";
+import { useAuthStore } from "../store/useAuthStore";
+
+// shown to accounts whose email isn't confirmed yet, which can't message anyone
+function EmailVerificationNotice() {
+  const { authUser, resendVerificationEmail } = useAuthStore();
+  const [isSending, setIsSending] = useState(false);
+
+  const handleResend = async () => {
+    setIsSending(true);
+    await resendVerificationEmail();
+    setIsSending(false);
+  }
+
+  return (
+    <div className="p-4 border-t border-slate-700/50 flex items-center justify-center gap-3 text-sm text-slate-400">
+      <MailWarningIcon className="size-4 shrink-0 text-amber-400" />
+      <span>Verify your email to start messaging. We sent a link to {authUser.email}.</span>
+      <button
+        className="text-cyan-400 hover:text-cyan-300 transition-colors disabled:opacity-50"
+        onClick={handleResend}
+        disabled={isSending}
+      >
+        Resend
+      </button>
+    </div>
+  )
+}
+
+export default EmailVerificationNotice
@@ -0,0 +1,86 @@
+import { useState } from "react";
+import { XIcon } from "lucide-react";
+import { createPortal } from "react-dom";
+import { useChatStore } from "../store/useChatStore";
+import { getChatName } from "../lib/utils";
+
+const FORMATS = [
+  { value: "html", label: "Web page (HTML), with images" },
+  { value: "text", label: "Plain text transcript" },
+  { value: "json", label: "Structured data (JSON)" },
+];
+
+const inputClassName = "w-full bg-slate-900/50 border border-slate-700/50 rounded-lg py-2 px-3 text-sm text-slate-200";
+const buttonClassName = "px-3 py-2 text-sm text-cyan-400 bg-cyan-500/10 rounded-lg hover:bg-cyan-500/20 transition-colors disabled:opacity-50";
+
+function ExportChatModal({ chat, onClose }) {
+  const { exportChat } = useChatStore();
+  const [format, setFormat] = useState("html");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [isExporting, setIsExporting] = useState(false);
+
+  const handleExport = async (e) => {
+    e.preventDefault();
+    setIsExporting(true);
+    const isExported = await exportChat(chat, {
+      format,
+      from: from ? new Date(`${from}T00:00:00`).toISOString() : undefined,
+      // make the end date inclusive
+      to: to ? new Date(`${to}T23:59:59.999`).toISOString() : undefined,
+    });
+    setIsExporting(false);
+    if (isExported) onClose();
+  }
+
+  return createPortal(
+    <div className="modal modal-open">
+      <div className="modal-box bg-slate-800 text-slate-200">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-medium">Export {getChatName(chat)}</h3>
+          <button onClick={onClose}>
+            <XIcon className="size-5 text-slate-400 hover:text-slate-200 transition-colors" />
+          </button>
+        </div>
+
+        <form onSubmit={handleExport} className="space-y-3">
+          <div className="space-y-1">
+            {FORMATS.map((option) => (
+              <label key={option.value} className="flex items-center gap-2 text-sm cursor-pointer">
+                <input
+                  type="radio"
+                  name="format"
+                  value={option.value}
+                  checked={format === option.value}
+                  onChange={() => setFormat(option.value)}
+                  className="radio radio-sm radio-info"
+                />
+                {option.label}
+              </label>
+            ))}
+          </div>
+
+          {/* both dates are optional; leave them empty for the whole history */}
+          <div className="flex gap-2">
+            <label className="flex-1 text-xs text-slate-400">
+              From
+              <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} className={`${inputClassName} mt-1`} />
+            </label>
+            <label className="flex-1 text-xs text-slate-400">
+              To
+              <input type="date" value={to} onChange={(e) => setTo(e.target.value)} className={`${inputClassName} mt-1`} />
+            </label>
+          </div>
+
+          <button type="submit" disabled={isExporting} className={`${buttonClassName} w-full`}>
+            {isExporting ? "Exporting…" : "Export chat"}
+          </button>
+        </form>
+      </div>
+      <div className="modal-backdrop" onClick={onClose} />
+    </div>,
+    document.body
+  );
+}
+
+export default ExportChatModal;
@@ -0,0 +1,129 @@
+import { useEffect, useRef, useState } from "react";
+import { LogOutIcon, UserMinusIcon, UserPlusIcon, XIcon } from "lucide-react";
+import { createPortal } from "react-dom";
+import { useChatStore } from "../store/useChatStore";
+import { useAuthStore } from "../store/useAuthStore";
+
+function GroupSettingsModal({ group, onClose }) {
+  const { allContacts, getAllContacts, updateGroup, addGroupMembers, removeGroupMember, leaveGroup } = useChatStore();
+  const { authUser } = useAuthStore();
+  const [name, setName] = useState(group.name);
+  const fileInputRef = useRef(null);
+  const isAdmin = group.admin === authUser._id;
+  const memberIds = group.members.map((member) => member._id);
+  const addableContacts = allContacts.filter((contact) => !memberIds.includes(contact._id));
+
+  useEffect(() => {
+    if (isAdmin) getAllContacts();
+  }, [isAdmin, getAllContacts]);
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    if (!name.trim() || name.trim() === group.name) return;
+    updateGroup(group._id, { name: name.trim() });
+  }
+
+  const handleAvatarUpload = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const formData = new FormData();
+    formData.append("file", file);
+    updateGroup(group._id, formData);
+  }
+
+  const handleLeave = async () => {
+    await leaveGroup(group._id);
+    onClose();
+  }
+
+  return createPortal(
+    <div className="modal modal-open">
+      <div className="modal-box bg-slate-800 text-slate-200">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-medium">Group settings</h3>
+          <button onClick={onClose}>
+            <XIcon className="size-5 text-slate-400 hover:text-slate-200 transition-colors" />
+          </button>
+        </div>
+
+        {/* only the admin can rename the group or change its picture */}
+        {isAdmin ? (
+          <div className="flex items-center gap-4 mb-4">
+            <button className="size-14 rounded-full overflow-hidden relative group shrink-0" onClick={() => fileInputRef.current.click()}>
+              <img src={group.avatar || "/avatar.png"} alt={group.name} className="size-full object-cover" />
+              <div className="absolute inset-0 bg-black/50 opacity-0 group-hover:opacity-100 flex items-center justify-center transition-opacity">
+                <span className="text-white text-xs">Change</span>
+              </div>
+            </button>
+            <input type="file" accept="image/*" ref={fileInputRef} onChange={handleAvatarUpload} className="hidden" />
+            <form onSubmit={handleRename} className="flex-1 flex gap-2">
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                className="flex-1 bg-slate-900/50 border border-slate-700 rounded-lg py-2 px-4 text-slate-200"
+                maxLength={100}
+              />
+              <button type="submit" className="px-4 text-sm text-cyan-400 bg-cyan-500/10 rounded-lg hover:bg-cyan-500/20 transition-colors">
+                Rename
+              </button>
+            </form>
+          </div>
+        ) : (
+          <div className="flex items-center gap-4 mb-4">
+            <img src={group.avatar || "/avatar.png"} alt={group.name} className="size-14 rounded-full object-cover shrink-0" />
+            <span className="flex-1 truncate font-medium">{group.name}</span>
+          </div>
+        )}
+
+        <h4 className="text-sm text-slate-400 mb-2">{group.members.length} members</h4>
+        <div className="max-h-48 overflow-y-auto space-y-1 mb-4">
+          {group.members.map((member) => (
+            <div key={member._id} className="flex items-center gap-3 p-2 rounded-lg">
+              <img src={member.profilePic || "/avatar.png"} alt={member.fullName} className="size-8 rounded-full" />
+              <span className="flex-1 truncate">
+                {member.fullName}
+                {member._id === group.admin && <span className="text-xs text-cyan-400 ml-2">admin</span>}
+              </span>
+              {isAdmin && member._id !== authUser._id && (
+                <button onClick={() => removeGroupMember(group._id, member._id)} title="Remove from group">
+                  <UserMinusIcon className="size-4 text-slate-400 hover:text-red-400 transition-colors" />
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+
+        {isAdmin && addableContacts.length > 0 && (
+          <>
+            <h4 className="text-sm text-slate-400 mb-2">Add members</h4>
+            <div className="max-h-40 overflow-y-auto space-y-1 mb-4">
+              {addableContacts.map((contact) => (
+                <div key={contact._id} className="flex items-center gap-3 p-2 rounded-lg">
+                  <img src={contact.profilePic || "/avatar.png"} alt={contact.fullName} className="size-8 rounded-full" />
+                  <span className="flex-1 truncate">{contact.fullName}</span>
+                  <button onClick={() => addGroupMembers(group._id, [contact._id])} title="Add to group">
+                    <UserPlusIcon className="size-4 text-slate-400 hover:text-cyan-400 transition-colors" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+
+        <button
+          onClick={handleLeave}
+          className="w-full flex items-center justify-center gap-2 py-2 text-sm text-red-400 bg-red-500/10 rounded-lg hover:bg-red-500/20 transition-colors"
+        >
+          <LogOutIcon className="size-4" />
+          Leave group
+        </button>
+      </div>
+      <div className="modal-backdrop" onClick={onClose} />
+    </div>,
+    document.body
+  );
+}
+
+export default GroupSettingsModal;
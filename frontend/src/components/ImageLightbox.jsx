@@ -0,0 +1,47 @@
+import { useEffect } from "react";
+import { createPortal } from "react-dom";
+import { ExternalLinkIcon, XIcon } from "lucide-react";
+
+// full-screen view of a message image; the display rendition fits the screen, the original opens in a new tab
+function ImageLightbox({ message, onClose }) {
+  const src = message.imageInfo?.displayUrl || message.image;
+
+  // capture Escape before it reaches the chat, which closes on Escape too
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key !== "Escape") return;
+      e.stopImmediatePropagation();
+      onClose();
+    }
+    window.addEventListener("keydown", handleKeyDown, true);
+    return () => window.removeEventListener("keydown", handleKeyDown, true);
+  }, [onClose]);
+
+  return createPortal(
+    <div className="fixed inset-0 z-50 bg-black/90 flex items-center justify-center p-8" onClick={onClose}>
+      <img
+        src={src}
+        alt="Shared"
+        className="max-w-full max-h-full object-contain"
+        onClick={(e) => e.stopPropagation()}
+      />
+      <div className="absolute top-4 right-4 flex gap-4">
+        <a
+          href={message.image}
+          target="_blank"
+          rel="noreferrer"
+          title="Open original"
+          onClick={(e) => e.stopPropagation()}
+        >
+          <ExternalLinkIcon className="size-6 text-slate-300 hover:text-white transition-colors" />
+        </a>
+        <button onClick={onClose} title="Close">
+          <XIcon className="size-6 text-slate-300 hover:text-white transition-colors" />
+        </button>
+      </div>
+    </div>,
+    document.body
+  );
+}
+
+export default ImageLightbox;
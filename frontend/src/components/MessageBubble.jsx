@@ -0,0 +1,140 @@
+import { useState } from "react";
+import { PencilIcon, ReplyIcon, Trash2Icon } from "lucide-react";
+import { useChatStore } from "../store/useChatStore";
+import MessageStatus from "./MessageStatus";
+import MessageReactions from "./MessageReactions";
+import ReactionPicker from "./ReactionPicker";
+import QuotedMessage from "./QuotedMessage";
+import AttachmentCard from "./AttachmentCard";
+import ImageLightbox from "./ImageLightbox";
+
+function MessageBubble({ message, isOwn, senderName, getUserName, onQuoteClick, isHighlighted }) {
+  const { editMessage, deleteMessage, setReplyingTo } = useChatStore();
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState("");
+  const [isLightboxOpen, setIsLightboxOpen] = useState(false);
+  const imageInfo = message.imageInfo;
+  const isDeleted = Boolean(message.deletedAt);
+  const canModify = isOwn && !isDeleted && !message.isOptimistic;
+  const canReact = !isDeleted && !message.isOptimistic;
+
+  const startEditing = () => {
+    setDraft(message.text || "");
+    setIsEditing(true);
+  }
+
+  const saveEdit = async () => {
+    if (!draft.trim() && !message.image && !message.attachment) return;
+    const saved = await editMessage(message._id, draft.trim());
+    if (saved) setIsEditing(false);
+  }
+
+  const handleEditKeyDown = (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      saveEdit();
+    } else if (e.key === "Escape") {
+      // keep the chat open, only cancel the edit
+      e.stopPropagation();
+      setIsEditing(false);
+    }
+  }
+
+  const handleDelete = () => {
+    if (window.confirm("Delete this message for everyone?")) deleteMessage(message._id);
+  }
+
+  return (
+    <div data-message-id={message._id} className={`chat group ${isOwn ? "chat-end" : "chat-start"}`}>
+      {senderName && (
+        <div className="chat-header text-xs text-slate-400 mb-1">{senderName}</div>
+      )}
+      <div className={`chat-bubble relative transition-shadow ${isOwn ? "bg-cyan-600 text-white" : "bg-slate-800 text-slate-200"} ${
+        isHighlighted ? "ring-2 ring-cyan-300" : ""
+      }`}>
+        {isDeleted ? (
+          <p className="italic opacity-75">This message was deleted</p>
+        ) : (
+          <>
+            {message.replyTo && (
+              <QuotedMessage
+                message={message.replyTo}
+                senderName={getUserName(message.replyTo.senderId)}
+                onClick={() => onQuoteClick(message.replyTo._id)}
+                className="mb-2"
+              />
+            )}
+            {message.image && (
+              <button type="button" onClick={() => setIsLightboxOpen(true)} className="block max-w-full">
+                {/* known dimensions reserve the space up front, so loading images don't shift the chat */}
+                <img
+                  src={imageInfo?.thumbnailUrl || message.image}
+                  alt="Shared"
+                  width={imageInfo?.width}
+                  height={imageInfo?.height}
+                  style={imageInfo ? { aspectRatio: `${imageInfo.width} / ${imageInfo.height}` } : undefined}
+                  className="rounded-lg h-48 w-auto max-w-full object-cover"
+                />
+              </button>
+            )}
+            {isLightboxOpen && <ImageLightbox message={message} onClose={() => setIsLightboxOpen(false)} />}
+            {message.attachment && (
+              <AttachmentCard attachment={message.attachment} isPending={message.isOptimistic} />
+            )}
+            {isEditing ? (
+              <div className="mt-2 space-y-1">
+                <input
+                  type="text"
+                  value={draft}
+                  onChange={(e) => setDraft(e.target.value)}
+                  onKeyDown={handleEditKeyDown}
+                  className="w-full bg-cyan-700/50 rounded px-2 py-1 text-white"
+                  maxLength={2000}
+                  autoFocus
+                />
+                <div className="flex gap-2 text-xs">
+                  <button type="button" onClick={saveEdit} className="underline">Save</button>
+                  <button type="button" onClick={() => setIsEditing(false)} className="underline opacity-75">Cancel</button>
+                </div>
+              </div>
+            ) : (
+              message.text && <p className="mt-2">{message.text}</p>
+            )}
+          </>
+        )}
+        <p className="text-xs mt-1 opacity-75 flex items-center gap-1">
+          {message.editedAt && !isDeleted && <span>edited</span>}
+          {new Date(message.createdAt).toLocaleTimeString(undefined, {
+            hour: "2-digit",
+            minute: "2-digit",
+          })}
+          {isOwn && <MessageStatus message={message} />}
+        </p>
+        {/* hover menu, shown beside the bubble on the side facing the middle of the chat */}
+        {canReact && !isEditing && (
+          <div className={`absolute top-1/2 -translate-y-1/2 flex gap-1 opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition-opacity ${
+            isOwn ? "right-full mr-2" : "left-full ml-2"
+          }`}>
+            <ReactionPicker messageId={message._id} />
+            <button onClick={() => setReplyingTo(message)} title="Reply">
+              <ReplyIcon className="size-4 text-slate-400 hover:text-slate-200" />
+            </button>
+            {canModify && (
+              <>
+                <button onClick={startEditing} title="Edit">
+                  <PencilIcon className="size-4 text-slate-400 hover:text-slate-200" />
+                </button>
+                <button onClick={handleDelete} title="Delete">
+                  <Trash2Icon className="size-4 text-slate-400 hover:text-red-400" />
+                </button>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+      <MessageReactions message={message} getUserName={getUserName} />
+    </div>
+  );
+}
+
+export default MessageBubble;
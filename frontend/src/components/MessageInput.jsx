@@ -1,56 +1,136 @@
-import { useRef, useState } from 'react'
+import { useEffect, useRef, useState } from 'react'
 import useKeyboardSound from '../hooks/useKeyboardSound'
 import { useChatStore } from '../store/useChatStore';
 import toast from 'react-hot-toast';
-import { ImageIcon, SendIcon, XIcon } from 'lucide-react';
+import { FileIcon, PaperclipIcon, SendIcon, XIcon } from 'lucide-react';
+import { useAuthStore } from '../store/useAuthStore';
+import { formatFileSize, getParticipantName } from '../lib/utils';
+import QuotedMessage from './QuotedMessage';
+
+// re-send "typing" at most this often, and send "stopTyping" after this much idle time
+const TYPING_THROTTLE_MS = 2000;
+const TYPING_IDLE_MS = 3000;
+// matches the server's upload limit, so oversized files are refused before uploading
+const MAX_FILE_SIZE = 25 * 1024 * 1024;
 
 function MessageInput() {
-  const { playRandomKeyStrokeSound } = useKeyboardSound();
+  const { playRandomKeystrokeSound } = useKeyboardSound();
   const [text, setText] = useState("");
+  const [selectedFile, setSelectedFile] = useState(null);
   const [imagePreview, setImagePreview] = useState(null);
   const fileInputRef = useRef(null);
-  const {sendMessage, isSoundEnabled} = useChatStore();
+  const lastTypingSentRef = useRef(0);
+  const typingIdleTimeoutRef = useRef(null);
+  const {sendMessage, isSoundEnabled, selectedUser, emitTyping, replyingTo, setReplyingTo, uploadProgress} = useChatStore();
+  const {authUser} = useAuthStore();
+
+  const stopTyping = (receiverId) => {
+    clearTimeout(typingIdleTimeoutRef.current);
+    if (!lastTypingSentRef.current) return;
+    emitTyping(false, receiverId);
+    lastTypingSentRef.current = 0;
+  }
+
+  const handleTyping = (value) => {
+    if (!value.trim()) return stopTyping();
+
+    const now = Date.now();
+    if (now - lastTypingSentRef.current > TYPING_THROTTLE_MS) {
+      emitTyping(true);
+      lastTypingSentRef.current = now;
+    }
+    clearTimeout(typingIdleTimeoutRef.current);
+    typingIdleTimeoutRef.current = setTimeout(() => stopTyping(), TYPING_IDLE_MS);
+  }
+
+  // tell the previous partner we stopped when the chat is switched or closed
+  useEffect(() => {
+    const receiverId = selectedUser._id;
+    return () => {
+      clearTimeout(typingIdleTimeoutRef.current);
+      if (lastTypingSentRef.current) emitTyping(false, receiverId);
+      lastTypingSentRef.current = 0;
+    }
+  }, [selectedUser._id, emitTyping])
+
+  // release the preview of a replaced or sent image
+  useEffect(() => {
+    if (!imagePreview) return;
+    return () => URL.revokeObjectURL(imagePreview);
+  }, [imagePreview])
+
+  const clearFile = () => {
+    setSelectedFile(null);
+    setImagePreview(null);
+    if (fileInputRef.current) fileInputRef.current.value = "";
+  }
 
   const handleSendMessage = (e) => {
     e.preventDefault();
-    if (!text.trim() && !imagePreview) return;
-    if (isSoundEnabled) playRandomKeyStrokeSound();
+    if (!text.trim() && !selectedFile) return;
+    if (isSoundEnabled) playRandomKeystrokeSound();
+    stopTyping();
 
     sendMessage({
       text: text.trim(),
-      image: imagePreview
+      file: selectedFile,
     })
     setText("");
-    setImagePreview("");
-    if (fileInputRef.current) fileInputRef.current.value = "";
+    clearFile();
   }
-  const handleImageChange = (e) => {
+  const handleFileChange = (e) => {
     const file = e.target.files[0];
-    if (!file.type.startsWith("image/")) {
-      toast.error("Please select a valid image file.");
+    if (!file) return;
+    if (file.size > MAX_FILE_SIZE) {
+      toast.error(`Files can be at most ${formatFileSize(MAX_FILE_SIZE)}.`);
+      e.target.value = "";
       return;
     }
-    const reader = new FileReader();
-    reader.onloadend = () => setImagePreview(reader.result);
-    reader.readAsDataURL(file);
-  }
-
-  const removeImage = () => {
-    setImagePreview(null);
-    if (fileInputRef.current) fileInputRef.current.value = "";
+    setSelectedFile(file);
+    setImagePreview(file.type.startsWith("image/") ? URL.createObjectURL(file) : null);
   }
   return (
     <div className='p-4 border-t border-slate-700/50'>
-      {imagePreview && (
+      {replyingTo && (
+        <div className="max-w-3xl mx-auto mb-3 flex items-center gap-2">
+          <QuotedMessage
+            message={replyingTo}
+            senderName={`Replying to ${getParticipantName(selectedUser, replyingTo.senderId, authUser._id)}`}
+            className="text-slate-200"
+          />
+          <button
+            onClick={() => setReplyingTo(null)}
+            className="w-6 h-6 shrink-0 rounded-full bg-slate-800 flex items-center justify-center text-slate-200 hover:bg-slate-700"
+            type="button"
+          >
+            <XIcon className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+      {uploadProgress !== null && (
+        <div className="max-w-3xl mx-auto mb-3 flex items-center gap-3 text-xs text-slate-400">
+          <progress className="progress progress-info flex-1" value={uploadProgress} max="100" />
+          <span>Uploading {uploadProgress}%</span>
+        </div>
+      )}
+      {selectedFile && (
         <div className="max-w-3xl mx-auto mb-3 flex items-center">
           <div className="relative">
-            <img
-              src={imagePreview}
-              alt="Preview"
-              className="w-20 h-20 object-cover rounded-lg border border-slate-700"
-            />
+            {imagePreview ? (
+              <img
+                src={imagePreview}
+                alt="Preview"
+                className="w-20 h-20 object-cover rounded-lg border border-slate-700"
+              />
+            ) : (
+              <div className="flex items-center gap-2 max-w-xs bg-slate-800/50 border border-slate-700 rounded-lg p-3 text-slate-200">
+                <FileIcon className="w-5 h-5 shrink-0 text-slate-400" />
+                <span className="text-sm truncate">{selectedFile.name}</span>
+                <span className="text-xs text-slate-400 shrink-0">{formatFileSize(selectedFile.size)}</span>
+              </div>
+            )}
             <button
-              onClick={removeImage}
+              onClick={clearFile}
               className="absolute -top-2 -right-2 w-6 h-6 rounded-full bg-slate-800 flex items-center justify-center text-slate-200 hover:bg-slate-700"
               type="button"
             >
@@ -62,7 +142,8 @@ function MessageInput() {
       <form onSubmit={handleSendMessage} className='max-w-3xl mx-auto flex space-x-4'>
         <input type="text" value={text} onChange={(e) => {
           setText(e.target.value);
-          isSoundEnabled && playRandomKeyStrokeSound();
+          handleTyping(e.target.value);
+          isSoundEnabled && playRandomKeystrokeSound();
         }}
           className='flex-1 bg-slate-800/50 border border-slate-700/50 rounded-lg py-2 px-4'
           placeholder='Type your message...'
@@ -70,23 +151,23 @@ function MessageInput() {
 
         <input
           type="file"
-          accept="image/*"
           ref={fileInputRef}
-          onChange={handleImageChange}
+          onChange={handleFileChange}
           className="hidden"
         />
          <button
           type="button"
           onClick={() => fileInputRef.current?.click()}
           className={`bg-slate-800/50 text-slate-400 hover:text-slate-200 rounded-lg px-4 transition-colors ${
-            imagePreview ? "text-cyan-500" : ""
+            selectedFile ? "text-cyan-500" : ""
           }`}
+          title="Attach a file"
         >
-          <ImageIcon className="w-5 h-5" />
+          <PaperclipIcon className="w-5 h-5" />
         </button>
         <button
           type="submit"
-          disabled={!text.trim() && !imagePreview}
+          disabled={!text.trim() && !selectedFile}
           className="bg-gradient-to-r from-cyan-500 to-cyan-600 text-white rounded-lg px-4 py-2 font-medium hover:from-cyan-600 hover:to-cyan-700 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
         >
           <SendIcon className="w-5 h-5" />
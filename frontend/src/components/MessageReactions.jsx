@@ -0,0 +1,32 @@
+import { useChatStore } from "../store/useChatStore";
+import { useAuthStore } from "../store/useAuthStore";
+
+// aggregated chips under a bubble; hovering one lists who reacted
+function MessageReactions({ message, getUserName }) {
+  const { toggleReaction } = useChatStore();
+  const { authUser } = useAuthStore();
+  if (!message.reactions?.length) return null;
+
+  return (
+    <div className="chat-footer flex flex-wrap gap-1 mt-1">
+      {message.reactions.map((reaction) => {
+        const reactedByMe = reaction.userIds.includes(authUser._id);
+        return (
+          <button
+            key={reaction.emoji}
+            onClick={() => toggleReaction(message._id, reaction.emoji)}
+            title={reaction.userIds.map(getUserName).join(", ")}
+            className={`flex items-center gap-1 px-2 py-0.5 rounded-full text-xs border transition-colors ${
+              reactedByMe ? "bg-cyan-500/20 border-cyan-500/50 text-cyan-300" : "bg-slate-800 border-slate-700 text-slate-300"
+            }`}
+          >
+            <span>{reaction.emoji}</span>
+            <span>{reaction.userIds.length}</span>
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+export default MessageReactions;
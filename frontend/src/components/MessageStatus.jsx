@@ -0,0 +1,11 @@
+import { CheckCheckIcon, CheckIcon, ClockIcon } from "lucide-react";
+
+// check marks shown next to the timestamp of our own messages
+function MessageStatus({ message }) {
+  if (message.isOptimistic) return <ClockIcon className="size-3" />;
+  if (message.readAt) return <CheckCheckIcon className="size-4 text-emerald-300" />;
+  if (message.deliveredAt) return <CheckCheckIcon className="size-4" />;
+  return <CheckIcon className="size-4" />;
+}
+
+export default MessageStatus;
@@ -1,36 +1,50 @@
 import { useState, useRef } from "react";
-import { LogOutIcon, VolumeOffIcon, Volume2Icon} from "lucide-react";
+import { BanIcon, DatabaseIcon, LogOutIcon, MailIcon, MonitorSmartphoneIcon, SettingsIcon, ShieldCheckIcon, UserPenIcon, VolumeOffIcon, Volume2Icon} from "lucide-react";
 import { useAuthStore } from "../store/useAuthStore";
 import { useChatStore } from "../store/useChatStore";
+import BlockedUsersModal from "./BlockedUsersModal";
+import EmailSettingsModal from "./EmailSettingsModal";
+import SessionsModal from "./SessionsModal";
+import TwoFactorModal from "./TwoFactorModal";
+import ProfileSettingsModal from "./ProfileSettingsModal";
+import AccountModal from "./AccountModal";
 
 const mouseClickSound = new Audio("/sounds/mouse-click.mp3");
 
 function ProfileHeader() {
-  const { logout, authUser, updateProfile } = useAuthStore();
+  const { logout, authUser, updateProfile, onlineUsers } = useAuthStore();
   const { isSoundEnabled, toggleSound } = useChatStore();
   const [selectedImg, setSelectedImg] = useState(null);
+  const [isBlockedUsersOpen, setIsBlockedUsersOpen] = useState(false);
+  const [isEmailSettingsOpen, setIsEmailSettingsOpen] = useState(false);
+  const [isSessionsOpen, setIsSessionsOpen] = useState(false);
+  const [isTwoFactorOpen, setIsTwoFactorOpen] = useState(false);
+  const [isProfileSettingsOpen, setIsProfileSettingsOpen] = useState(false);
+  const [isAccountOpen, setIsAccountOpen] = useState(false);
 
   const fileInputRef = useRef(null);
+  // we show up in the online list once our own socket is connected
+  const isOnline = onlineUsers.includes(authUser._id);
 
-  const handleImageUpload = (e) => {
+  const handleImageUpload = async (e) => {
     const file = e.target.files[0];
     if(!file) return;
 
-    const reader = new FileReader();
-    reader.readAsDataURL(file);
-
-    reader.onloadend = async () => {
-      const base64Image = reader.result;
-      setSelectedImg(base64Image);
-      await updateProfile({ profilePic: base64Image });
-    };
+    // the picked picture shows right away, until the stored one comes back
+    const previewUrl = URL.createObjectURL(file);
+    setSelectedImg(previewUrl);
+    const formData = new FormData();
+    formData.append("file", file);
+    await updateProfile(formData);
+    setSelectedImg(null);
+    URL.revokeObjectURL(previewUrl);
   }
   return (
     <div className="p-6 border-b border-slate-700/50">
       <div className="flex items-center justify-between">
         <div className="flex items-center gap-3">
           {/* AVATAR Profile Image and Upload */}
-          <div className="avatar online">
+          <div className={`avatar ${isOnline ? "online" : "offline"}`}>
             <button className="size-14 rounded-full overflow-hidden relative group" onClick={() => fileInputRef.current.click()}>
               <img src={selectedImg || authUser.profilePic || "/avatar.png"} alt="User Image" className="size-full object-cover"/>
               <div className="absolute inset-0 bg-black/50 opacity-0 group-hover:opacity-100 flex items-center justify-center transition-opacity">
@@ -45,10 +59,51 @@ function ProfileHeader() {
             <h3 className="text-slate-200 font-medium text-base max-w-[180px] truncate">
               {authUser.fullName}
             </h3>
-            <p className="text-slate-400 text-xs">Online</p>
+            <p className="text-slate-400 text-xs max-w-[180px] truncate">
+              {isOnline ? "Online" : "Offline"}
+              {authUser.statusMessage && ` · ${authUser.statusMessage}`}
+            </p>
           </div>
         </div>
         <div className="flex gap-4 items-center">
+          {/* Settings Menu */}
+          <div className="dropdown dropdown-end">
+            <button tabIndex={0} className="text-slate-400 hover:text-slate-200 transition-colors" title="Settings">
+              <SettingsIcon className="size-5" />
+            </button>
+            <ul tabIndex={0} className="dropdown-content menu z-10 mt-2 w-52 p-2 rounded-lg bg-slate-800 border border-slate-700 text-slate-200 shadow-lg">
+              <li>
+                <button onClick={() => setIsProfileSettingsOpen(true)}>
+                  <UserPenIcon className="size-4" /> Edit profile
+                </button>
+              </li>
+              <li>
+                <button onClick={() => setIsSessionsOpen(true)}>
+                  <MonitorSmartphoneIcon className="size-4" /> Active sessions
+                </button>
+              </li>
+              <li>
+                <button onClick={() => setIsTwoFactorOpen(true)}>
+                  <ShieldCheckIcon className="size-4" /> Two-factor authentication
+                </button>
+              </li>
+              <li>
+                <button onClick={() => setIsEmailSettingsOpen(true)}>
+                  <MailIcon className="size-4" /> Email settings
+                </button>
+              </li>
+              <li>
+                <button onClick={() => setIsBlockedUsersOpen(true)}>
+                  <BanIcon className="size-4" /> Blocked users
+                </button>
+              </li>
+              <li>
+                <button onClick={() => setIsAccountOpen(true)}>
+                  <DatabaseIcon className="size-4" /> Your data
+                </button>
+              </li>
+            </ul>
+          </div>
           {/* Logout Button */}
           <button className="text-slate-400 hover:text-slate-200 transition-colors" onClick={logout}>
             <LogOutIcon className="size-5" />
@@ -67,6 +122,12 @@ function ProfileHeader() {
           </button>
         </div>
       </div>
+      {isBlockedUsersOpen && <BlockedUsersModal onClose={() => setIsBlockedUsersOpen(false)} />}
+      {isEmailSettingsOpen && <EmailSettingsModal onClose={() => setIsEmailSettingsOpen(false)} />}
+      {isSessionsOpen && <SessionsModal onClose={() => setIsSessionsOpen(false)} />}
+      {isTwoFactorOpen && <TwoFactorModal onClose={() => setIsTwoFactorOpen(false)} />}
+      {isProfileSettingsOpen && <ProfileSettingsModal onClose={() => setIsProfileSettingsOpen(false)} />}
+      {isAccountOpen && <AccountModal onClose={() => setIsAccountOpen(false)} />}
     </div>
   )
 }
@@ -0,0 +1,160 @@
+import { useState } from "react";
+import { XIcon } from "lucide-react";
+import { createPortal } from "react-dom";
+import toast from "react-hot-toast";
+import { useAuthStore } from "../store/useAuthStore";
+
+const inputClassName = "w-full bg-slate-900/50 border border-slate-700/50 rounded-lg py-2 px-3 text-sm text-slate-200 placeholder-slate-400";
+const buttonClassName = "px-3 py-2 text-sm text-cyan-400 bg-cyan-500/10 rounded-lg hover:bg-cyan-500/20 transition-colors disabled:opacity-50";
+
+function ProfileSettingsModal({ onClose }) {
+  const { authUser, updateProfile, changePassword, requestEmailChange } = useAuthStore();
+  const [profile, setProfile] = useState({
+    fullName: authUser.fullName,
+    statusMessage: authUser.statusMessage || "",
+    bio: authUser.bio || "",
+  });
+  const [passwords, setPasswords] = useState({ currentPassword: "", newPassword: "", confirmPassword: "" });
+  const [emailChange, setEmailChange] = useState({ email: "", password: "" });
+  const [pendingSection, setPendingSection] = useState(null);
+
+  // one section saves at a time; each resets its own form on success
+  const save = async (section, action, onSuccess) => {
+    setPendingSection(section);
+    const isSaved = await action();
+    setPendingSection(null);
+    if (isSaved) onSuccess?.();
+  }
+
+  const handleSaveProfile = (e) => {
+    e.preventDefault();
+    save("profile", () => updateProfile(profile));
+  }
+
+  const handleChangePassword = (e) => {
+    e.preventDefault();
+    if (passwords.newPassword !== passwords.confirmPassword) {
+      toast.error("Passwords don't match");
+      return;
+    }
+    save(
+      "password",
+      () => changePassword(passwords.currentPassword, passwords.newPassword),
+      () => setPasswords({ currentPassword: "", newPassword: "", confirmPassword: "" })
+    );
+  }
+
+  const handleChangeEmail = (e) => {
+    e.preventDefault();
+    save(
+      "email",
+      () => requestEmailChange(emailChange.email, emailChange.password),
+      () => setEmailChange({ email: "", password: "" })
+    );
+  }
+
+  return createPortal(
+    <div className="modal modal-open">
+      <div className="modal-box bg-slate-800 text-slate-200 max-h-[90vh]">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-medium">Edit profile</h3>
+          <button onClick={onClose}>
+            <XIcon className="size-5 text-slate-400 hover:text-slate-200 transition-colors" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSaveProfile} className="space-y-2">
+          <input
+            type="text"
+            value={profile.fullName}
+            onChange={(e) => setProfile({ ...profile, fullName: e.target.value })}
+            placeholder="Your name"
+            maxLength={50}
+            className={inputClassName}
+            required
+          />
+          <input
+            type="text"
+            value={profile.statusMessage}
+            onChange={(e) => setProfile({ ...profile, statusMessage: e.target.value })}
+            placeholder="Status, e.g. On vacation"
+            maxLength={80}
+            className={inputClassName}
+          />
+          <textarea
+            value={profile.bio}
+            onChange={(e) => setProfile({ ...profile, bio: e.target.value })}
+            placeholder="A few words about yourself"
+            maxLength={160}
+            rows={3}
+            className={`${inputClassName} resize-none`}
+          />
+          <button type="submit" disabled={pendingSection === "profile"} className={`${buttonClassName} w-full`}>
+            Save profile
+          </button>
+        </form>
+
+        <h4 className="mt-6 mb-2 text-xs text-slate-400 uppercase tracking-wide">Password</h4>
+        <form onSubmit={handleChangePassword} className="space-y-2">
+          <input
+            type="password"
+            value={passwords.currentPassword}
+            onChange={(e) => setPasswords({ ...passwords, currentPassword: e.target.value })}
+            placeholder="Current password"
+            className={inputClassName}
+            required
+          />
+          <input
+            type="password"
+            value={passwords.newPassword}
+            onChange={(e) => setPasswords({ ...passwords, newPassword: e.target.value })}
+            placeholder="New password"
+            minLength={6}
+            className={inputClassName}
+            required
+          />
+          <input
+            type="password"
+            value={passwords.confirmPassword}
+            onChange={(e) => setPasswords({ ...passwords, confirmPassword: e.target.value })}
+            placeholder="Confirm new password"
+            className={inputClassName}
+            required
+          />
+          <p className="text-xs text-slate-400">Your other devices will be signed out.</p>
+          <button type="submit" disabled={pendingSection === "password"} className={`${buttonClassName} w-full`}>
+            Change password
+          </button>
+        </form>
+
+        <h4 className="mt-6 mb-2 text-xs text-slate-400 uppercase tracking-wide">Email</h4>
+        <form onSubmit={handleChangeEmail} className="space-y-2">
+          <p className="text-sm text-slate-400">Currently {authUser.email}</p>
+          <input
+            type="email"
+            value={emailChange.email}
+            onChange={(e) => setEmailChange({ ...emailChange, email: e.target.value })}
+            placeholder="New email"
+            className={inputClassName}
+            required
+          />
+          <input
+            type="password"
+            value={emailChange.password}
+            onChange={(e) => setEmailChange({ ...emailChange, password: e.target.value })}
+            placeholder="Password"
+            className={inputClassName}
+            required
+          />
+          <button type="submit" disabled={pendingSection === "email"} className={`${buttonClassName} w-full`}>
+            Send confirmation link
+          </button>
+        </form>
+      </div>
+      <div className="modal-backdrop" onClick={onClose} />
+    </div>,
+    document.body
+  );
+}
+
+export default ProfileSettingsModal;
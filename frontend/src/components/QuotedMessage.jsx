@@ -0,0 +1,23 @@
+// compact preview of a replied-to message, used in bubbles and above the input
+function QuotedMessage({ message, senderName, onClick, className = "" }) {
+  const getPreview = () => {
+    if (message.deletedAt) return "This message was deleted";
+    if (message.text) return message.text;
+    if (message.image) return "📷 Photo";
+    if (message.attachment) return `📎 ${message.attachment.name}`;
+    return "";
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      className={`block w-full text-left border-l-4 border-cyan-300/70 bg-black/20 rounded px-2 py-1 ${className}`}
+    >
+      <p className="text-xs font-medium opacity-90">{senderName}</p>
+      <p className={`text-xs opacity-75 truncate ${message.deletedAt ? "italic" : ""}`}>{getPreview()}</p>
+    </button>
+  );
+}
+
+export default QuotedMessage;
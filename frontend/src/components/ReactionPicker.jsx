@@ -0,0 +1,37 @@
+import { useState } from "react";
+import { SmilePlusIcon } from "lucide-react";
+import { useChatStore } from "../store/useChatStore";
+
+const QUICK_REACTIONS = ["👍", "❤️", "😂", "😮", "😢", "🙏"];
+
+// emoji button with a small picker, shown in a bubble's hover menu
+function ReactionPicker({ messageId }) {
+  const { toggleReaction } = useChatStore();
+  const [isOpen, setIsOpen] = useState(false);
+
+  return (
+    <div className="relative">
+      <button onClick={() => setIsOpen(!isOpen)} title="React">
+        <SmilePlusIcon className="size-4 text-slate-400 hover:text-slate-200" />
+      </button>
+      {isOpen && (
+        <div className="absolute bottom-full mb-2 left-1/2 -translate-x-1/2 z-10 flex gap-1 bg-slate-800 border border-slate-700 rounded-full px-2 py-1 shadow-lg">
+          {QUICK_REACTIONS.map((emoji) => (
+            <button
+              key={emoji}
+              className="text-lg hover:scale-125 transition-transform"
+              onClick={() => {
+                toggleReaction(messageId, emoji);
+                setIsOpen(false);
+              }}
+            >
+              {emoji}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ReactionPicker;
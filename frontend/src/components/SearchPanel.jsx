@@ -0,0 +1,129 @@
+import { useEffect, useMemo, useState } from "react";
+import { LoaderIcon, SearchIcon } from "lucide-react";
+import { useChatStore } from "../store/useChatStore";
+import { getChatAvatar, getChatName } from "../lib/utils";
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+// renders the snippet with the server-provided [start, end] ranges wrapped in <mark>
+function HighlightedSnippet({ snippet, highlights }) {
+  const parts = [];
+  let cursor = 0;
+  highlights.forEach(([start, end]) => {
+    if (start > cursor) parts.push(<span key={`t${cursor}`}>{snippet.slice(cursor, start)}</span>);
+    parts.push(
+      <mark key={`m${start}`} className="bg-cyan-500/30 text-cyan-200 rounded px-0.5">
+        {snippet.slice(start, end)}
+      </mark>
+    );
+    cursor = end;
+  });
+  if (cursor < snippet.length) parts.push(<span key={`t${cursor}`}>{snippet.slice(cursor)}</span>);
+  return <p className="text-slate-400 text-sm break-words">{parts}</p>;
+}
+
+function SearchPanel() {
+  const { chats, getMyChatPartners, searchMessages, clearSearch, searchResults, searchPage, hasMoreSearchResults, isSearching, openMessage } = useChatStore();
+  const [query, setQuery] = useState("");
+  const [chatId, setChatId] = useState("");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+
+  useEffect(() => {
+    if (chats.length === 0) getMyChatPartners();
+  }, [chats.length, getMyChatPartners]);
+
+  const filters = useMemo(() => ({
+    q: query.trim(),
+    chatId: chatId || undefined,
+    from: from ? new Date(`${from}T00:00:00`).toISOString() : undefined,
+    // make the end date inclusive
+    to: to ? new Date(`${to}T23:59:59.999`).toISOString() : undefined,
+  }), [query, chatId, from, to]);
+
+  // search as the user types, once they pause
+  useEffect(() => {
+    if (!filters.q) {
+      clearSearch();
+      return;
+    }
+    const timeout = setTimeout(() => searchMessages(filters), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timeout);
+  }, [filters, searchMessages, clearSearch]);
+
+  return (
+    <div className="space-y-3">
+      <div className="relative">
+        <SearchIcon className="auth-input-icon" />
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          className="input"
+          placeholder="Search messages..."
+          autoFocus
+        />
+      </div>
+      <select
+        value={chatId}
+        onChange={(e) => setChatId(e.target.value)}
+        className="w-full bg-slate-800/50 border border-slate-700 rounded-lg py-2 px-3 text-sm text-slate-200"
+      >
+        <option value="">All chats</option>
+        {chats.map((chat) => (
+          <option key={chat._id} value={chat._id}>{getChatName(chat)}</option>
+        ))}
+      </select>
+      <div className="flex gap-2">
+        <input
+          type="date"
+          value={from}
+          onChange={(e) => setFrom(e.target.value)}
+          className="flex-1 min-w-0 bg-slate-800/50 border border-slate-700 rounded-lg py-1.5 px-2 text-xs text-slate-200"
+          title="From"
+        />
+        <input
+          type="date"
+          value={to}
+          onChange={(e) => setTo(e.target.value)}
+          className="flex-1 min-w-0 bg-slate-800/50 border border-slate-700 rounded-lg py-1.5 px-2 text-xs text-slate-200"
+          title="To"
+        />
+      </div>
+
+      {searchResults.map((result) => (
+        <div
+          key={result._id}
+          className="bg-cyan-500/10 p-3 rounded-lg cursor-pointer hover:bg-cyan-500/20 transition-colors"
+          onClick={() => openMessage(result.chat, result._id)}
+        >
+          <div className="flex items-center gap-2 mb-1">
+            <img src={getChatAvatar(result.chat)} alt={getChatName(result.chat)} className="size-6 rounded-full" />
+            <span className="text-slate-200 text-sm font-medium truncate flex-1">{getChatName(result.chat)}</span>
+            <span className="text-slate-500 text-xs shrink-0">{new Date(result.createdAt).toLocaleDateString()}</span>
+          </div>
+          <HighlightedSnippet snippet={result.snippet} highlights={result.highlights} />
+        </div>
+      ))}
+
+      {isSearching && (
+        <div className="flex justify-center">
+          <LoaderIcon className="size-5 animate-spin text-slate-400" />
+        </div>
+      )}
+      {!isSearching && filters.q && searchResults.length === 0 && (
+        <p className="text-slate-400 text-sm text-center py-4">No messages found</p>
+      )}
+      {!isSearching && hasMoreSearchResults && (
+        <button
+          onClick={() => searchMessages(filters, searchPage + 1)}
+          className="w-full px-4 py-2 text-sm text-cyan-400 bg-cyan-500/10 rounded-lg hover:bg-cyan-500/20 transition-colors"
+        >
+          Load more
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default SearchPanel;
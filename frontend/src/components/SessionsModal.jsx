@@ -0,0 +1,63 @@
+import { useEffect } from "react";
+import { MonitorSmartphoneIcon, XIcon } from "lucide-react";
+import { createPortal } from "react-dom";
+import { useAuthStore } from "../store/useAuthStore";
+import { describeUserAgent, formatLastSeen } from "../lib/utils";
+
+function SessionsModal({ onClose }) {
+  const { sessions, getSessions, revokeSession, revokeOtherSessions } = useAuthStore();
+  const hasOtherSessions = sessions.some((session) => !session.isCurrent);
+
+  useEffect(() => {
+    getSessions();
+  }, [getSessions]);
+
+  return createPortal(
+    <div className="modal modal-open">
+      <div className="modal-box bg-slate-800 text-slate-200">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-medium">Active sessions</h3>
+          <button onClick={onClose}>
+            <XIcon className="size-5 text-slate-400 hover:text-slate-200 transition-colors" />
+          </button>
+        </div>
+
+        <div className="max-h-72 overflow-y-auto space-y-1">
+          {sessions.map((session) => (
+            <div key={session._id} className="flex items-center gap-3 p-2 rounded-lg">
+              <MonitorSmartphoneIcon className="size-5 shrink-0 text-slate-400" />
+              <div className="flex-1 min-w-0">
+                <p className="text-sm truncate">
+                  {describeUserAgent(session.userAgent)}
+                  {session.isCurrent && <span className="ml-2 text-xs text-cyan-400">This device</span>}
+                </p>
+                <p className="text-xs text-slate-400 truncate">
+                  {session.ip || "Unknown IP"} · signed in {formatLastSeen(session.createdAt)} · active {formatLastSeen(session.lastUsedAt)}
+                </p>
+              </div>
+              <button
+                onClick={() => revokeSession(session._id)}
+                className="px-3 py-1 text-xs text-red-400 bg-red-500/10 rounded-lg hover:bg-red-500/20 transition-colors"
+              >
+                {session.isCurrent ? "Sign out" : "Revoke"}
+              </button>
+            </div>
+          ))}
+        </div>
+
+        {hasOtherSessions && (
+          <button
+            onClick={revokeOtherSessions}
+            className="mt-4 w-full py-2 text-sm text-red-400 bg-red-500/10 rounded-lg hover:bg-red-500/20 transition-colors"
+          >
+            Sign out of all other sessions
+          </button>
+        )}
+      </div>
+      <div className="modal-backdrop" onClick={onClose} />
+    </div>,
+    document.body
+  );
+}
+
+export default SessionsModal;
@@ -0,0 +1,73 @@
+import { useState } from "react";
+import { ShieldCheckIcon, KeyRoundIcon, LoaderIcon } from "lucide-react";
+import { useAuthStore } from "../store/useAuthStore";
+
+// second login step for accounts with two-factor authentication
+function TwoFactorLoginForm() {
+  const [code, setCode] = useState("");
+  const [isUsingRecoveryCode, setIsUsingRecoveryCode] = useState(false);
+  const { verifyTwoFactorLogin, cancelTwoFactorLogin, isVerifyingTwoFactor } = useAuthStore();
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    verifyTwoFactorLogin(code);
+  }
+  return (
+    <>
+      <div className="text-center mb-8">
+        <ShieldCheckIcon className="w-12 h-12 mx-auto text-slate-400 mb-4" />
+        <h2 className="text-2xl font-bold text-slate-200 mb-2">Two-factor authentication</h2>
+        <p className="text-slate-400">
+          {isUsingRecoveryCode
+            ? "Enter one of the recovery codes you saved"
+            : "Enter the 6-digit code from your authenticator app"}
+        </p>
+      </div>
+
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <div>
+          <label className="auth-input-label">{isUsingRecoveryCode ? "Recovery code" : "Authentication code"}</label>
+          <div className="relative">
+            <KeyRoundIcon className="auth-input-icon"/>
+            <input type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              className="input"
+              placeholder={isUsingRecoveryCode ? "xxxx-xxxx" : "123456"}
+              inputMode={isUsingRecoveryCode ? "text" : "numeric"}
+              autoComplete="one-time-code"
+              autoFocus
+              required
+            />
+          </div>
+          <div className="mt-2 text-right">
+            <button
+              type="button"
+              className="auth-link"
+              onClick={() => {
+                setIsUsingRecoveryCode(!isUsingRecoveryCode);
+                setCode("");
+              }}
+            >
+              {isUsingRecoveryCode ? "Use your authenticator app" : "Use a recovery code"}
+            </button>
+          </div>
+        </div>
+        <button className="auth-btn" type="submit" disabled={isVerifyingTwoFactor}>
+          {isVerifyingTwoFactor ? (
+            <LoaderIcon className="w-full h-5 animate-spin text-center" />
+          ) : (
+            "Verify"
+          )}
+        </button>
+      </form>
+      <div className="mt-6 text-center">
+        <button type="button" className="auth-link" onClick={cancelTwoFactorLogin}>
+          Back to login
+        </button>
+      </div>
+    </>
+  )
+}
+
+export default TwoFactorLoginForm
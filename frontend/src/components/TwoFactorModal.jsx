@@ -0,0 +1,165 @@
+import { useState } from "react";
+import { CopyIcon, XIcon } from "lucide-react";
+import { createPortal } from "react-dom";
+import toast from "react-hot-toast";
+import { useAuthStore } from "../store/useAuthStore";
+
+const inputClassName = "w-full bg-slate-900/50 border border-slate-700/50 rounded-lg py-2 px-3 text-sm text-slate-200 placeholder-slate-400";
+const buttonClassName = "px-3 py-2 text-sm text-cyan-400 bg-cyan-500/10 rounded-lg hover:bg-cyan-500/20 transition-colors disabled:opacity-50";
+
+// recovery codes are only ever shown right after they are generated
+function RecoveryCodes({ codes, onDone }) {
+  const copyCodes = async () => {
+    await navigator.clipboard.writeText(codes.join("\n"));
+    toast.success("Recovery codes copied");
+  }
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-slate-400">
+        Save these recovery codes somewhere safe. Each one signs you in once if you lose your authenticator app.
+        They won't be shown again.
+      </p>
+      <div className="grid grid-cols-2 gap-2 p-3 rounded-lg bg-slate-900/50 font-mono text-sm">
+        {codes.map((code) => <span key={code}>{code}</span>)}
+      </div>
+      <div className="flex gap-2">
+        <button onClick={copyCodes} className={`${buttonClassName} flex items-center gap-2`}>
+          <CopyIcon className="size-4" /> Copy
+        </button>
+        <button onClick={onDone} className={`${buttonClassName} flex-1`}>I saved them</button>
+      </div>
+    </div>
+  )
+}
+
+function TwoFactorModal({ onClose }) {
+  const { authUser, setupTwoFactor, enableTwoFactor, disableTwoFactor, regenerateRecoveryCodes } = useAuthStore();
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // runs a store action with the form locked, clearing the code afterwards since each one works only once
+  const submit = async (action) => {
+    setIsSubmitting(true);
+    const result = await action();
+    setIsSubmitting(false);
+    setCode("");
+    return result;
+  }
+
+  const handleStartSetup = async () => setSetup(await submit(setupTwoFactor));
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    const codes = await submit(() => enableTwoFactor(code));
+    if (codes) {
+      setSetup(null);
+      setRecoveryCodes(codes);
+    }
+  }
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    const codes = await submit(() => regenerateRecoveryCodes(code));
+    if (codes) setRecoveryCodes(codes);
+  }
+
+  const handleDisable = async () => {
+    const isDisabled = await submit(() => disableTwoFactor(password, code));
+    if (isDisabled) setPassword("");
+  }
+
+  return createPortal(
+    <div className="modal modal-open">
+      <div className="modal-box bg-slate-800 text-slate-200">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-medium">Two-factor authentication</h3>
+          <button onClick={onClose}>
+            <XIcon className="size-5 text-slate-400 hover:text-slate-200 transition-colors" />
+          </button>
+        </div>
+
+        {recoveryCodes ? (
+          <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />
+        ) : setup ? (
+          <form onSubmit={handleEnable} className="space-y-3">
+            <p className="text-sm text-slate-400">
+              Scan this QR code with an authenticator app, then enter the 6-digit code it shows.
+            </p>
+            <img src={setup.qrCode} alt="Two-factor QR code" className="mx-auto size-48 rounded-lg bg-white p-2" />
+            <p className="text-xs text-slate-400 text-center break-all">
+              Can't scan it? Enter this key instead: <span className="font-mono text-slate-200">{setup.secret}</span>
+            </p>
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="123456"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              className={inputClassName}
+              required
+            />
+            <button type="submit" disabled={isSubmitting} className={`${buttonClassName} w-full`}>
+              Enable two-factor authentication
+            </button>
+          </form>
+        ) : authUser.twoFactorEnabled ? (
+          <div className="space-y-4">
+            <p className="text-sm text-slate-400">
+              Two-factor authentication is <span className="text-cyan-400">on</span>. Signing in asks for a code from your authenticator app.
+            </p>
+            <form onSubmit={handleRegenerate} className="space-y-2">
+              <input
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                placeholder="Authenticator or recovery code"
+                autoComplete="one-time-code"
+                className={inputClassName}
+                required
+              />
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="Password (only to turn it off)"
+                className={inputClassName}
+              />
+              <div className="flex gap-2">
+                <button type="submit" disabled={isSubmitting} className={`${buttonClassName} flex-1`}>
+                  New recovery codes
+                </button>
+                <button
+                  type="button"
+                  onClick={handleDisable}
+                  disabled={isSubmitting || !code || !password}
+                  className="flex-1 px-3 py-2 text-sm text-red-400 bg-red-500/10 rounded-lg hover:bg-red-500/20 transition-colors disabled:opacity-50"
+                >
+                  Turn off
+                </button>
+              </div>
+            </form>
+          </div>
+        ) : (
+          <div className="space-y-3">
+            <p className="text-sm text-slate-400">
+              Protect your account with a second step at sign in: a code from an authenticator app such as
+              Google Authenticator, 1Password or Authy.
+            </p>
+            <button onClick={handleStartSetup} disabled={isSubmitting} className={`${buttonClassName} w-full`}>
+              Set up two-factor authentication
+            </button>
+          </div>
+        )}
+      </div>
+      <div className="modal-backdrop" onClick={onClose} />
+    </div>,
+    document.body
+  );
+}
+
+export default TwoFactorModal;
@@ -0,0 +1,66 @@
+import { useEffect, useState } from "react";
+import { LoaderIcon, MailIcon, XIcon } from "lucide-react";
+import { createPortal } from "react-dom";
+import { useChatStore } from "../store/useChatStore";
+import { useAuthStore } from "../store/useAuthStore";
+import { formatLastSeen } from "../lib/utils";
+
+// another user's profile card, opened from a 1:1 chat
+function UserProfileModal({ userId, onClose }) {
+  const { getUserProfile } = useChatStore();
+  const { onlineUsers, lastSeenByUser } = useAuthStore();
+  // undefined while loading, null if the profile can't be shown
+  const [profile, setProfile] = useState(undefined);
+  const isOnline = onlineUsers.includes(userId);
+
+  useEffect(() => {
+    let isCurrent = true;
+    getUserProfile(userId).then((data) => {
+      if (isCurrent) setProfile(data);
+    });
+    return () => {
+      isCurrent = false;
+    };
+  }, [userId, getUserProfile]);
+
+  return createPortal(
+    <div className="modal modal-open">
+      <div className="modal-box bg-slate-800 text-slate-200 max-w-sm">
+        <div className="flex justify-end">
+          <button onClick={onClose}>
+            <XIcon className="size-5 text-slate-400 hover:text-slate-200 transition-colors" />
+          </button>
+        </div>
+
+        {profile === undefined ? (
+          <div className="flex justify-center py-8">
+            <LoaderIcon className="size-6 animate-spin text-slate-400" />
+          </div>
+        ) : profile === null ? (
+          <p className="py-8 text-center text-sm text-slate-400">This profile isn't available.</p>
+        ) : (
+          <div className="flex flex-col items-center text-center gap-2">
+            <div className={`avatar ${isOnline ? "online" : "offline"}`}>
+              <div className="size-24 rounded-full">
+                <img src={profile.profilePic || "/avatar.png"} alt={profile.fullName} />
+              </div>
+            </div>
+            <h3 className="text-lg font-medium">{profile.fullName}</h3>
+            {profile.statusMessage && <p className="text-sm text-cyan-400">{profile.statusMessage}</p>}
+            <p className="text-xs text-slate-400">
+              {isOnline ? "Online" : `Last seen ${formatLastSeen(lastSeenByUser[userId] || profile.lastSeen)}`}
+            </p>
+            {profile.bio && <p className="text-sm text-slate-300 whitespace-pre-line">{profile.bio}</p>}
+            <p className="flex items-center gap-2 text-sm text-slate-400">
+              <MailIcon className="size-4" /> {profile.email}
+            </p>
+          </div>
+        )}
+      </div>
+      <div className="modal-backdrop" onClick={onClose} />
+    </div>,
+    document.body
+  );
+}
+
+export default UserProfileModal;
@@ -3,4 +3,28 @@ import axios from 'axios';
 export const axiosInstance = axios.create({
     baseURL: import.meta.env.MODE === 'development' ? 'http://localhost:3000/api' : "/api",
     withCredentials: true,
-});
\ No newline at end of file
+});
+
+// access tokens expire after a few minutes. on a 401, trade the refresh cookie for new tokens once
+// and retry; concurrent requests share a single refresh, since every refresh rotates the token
+let refreshPromise = null;
+
+export const refreshSession = () => {
+    refreshPromise ??= axiosInstance.post("/auth/refresh").finally(() => {
+        refreshPromise = null;
+    });
+    return refreshPromise;
+}
+
+axiosInstance.interceptors.response.use(null, async (error) => {
+    const { config, response } = error;
+    if (response?.status !== 401 || config._isRetry || config.url === "/auth/refresh") throw error;
+
+    try {
+        await refreshSession();
+    } catch {
+        throw error;
+    }
+    config._isRetry = true;
+    return axiosInstance(config);
+});
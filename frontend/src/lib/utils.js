@@ -0,0 +1,99 @@
+// turns a lastSeen date into "just now", "5 min ago", "3 h ago" or a calendar date
+export const formatLastSeen = (date) => {
+    if (!date) return "a while ago";
+
+    const diffMinutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+    if (diffMinutes < 1) return "just now";
+    if (diffMinutes < 60) return `${diffMinutes} min ago`;
+
+    const diffHours = Math.floor(diffMinutes / 60);
+    if (diffHours < 24) return `${diffHours} h ago`;
+
+    return new Date(date).toLocaleDateString(undefined, {
+        month: "short",
+        day: "numeric",
+    });
+}
+
+// chats are either users (1:1) or groups, which name their fields differently
+export const getChatName = (chat) => (chat.isGroup ? chat.name : chat.fullName);
+
+export const getChatAvatar = (chat) => (chat.isGroup ? chat.avatar : chat.profilePic) || "/avatar.png";
+
+// display name of a chat participant, "You" for the logged in user
+export const getParticipantName = (chat, userId, authUserId) => {
+    if (userId === authUserId) return "You";
+    if (!chat.isGroup) return chat.fullName;
+    return chat.members.find((member) => member._id === userId)?.fullName || "Former member";
+}
+
+
+// chat list timestamps: the time for today's messages, otherwise a calendar date
+export const formatChatTime = (date) => {
+    const value = new Date(date);
+    if (value.toDateString() === new Date().toDateString()) {
+        return value.toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" });
+    }
+    return value.toLocaleDateString(undefined, { month: "short", day: "numeric" });
+}
+
+// one line summary of a message for the chat list
+export const getMessagePreview = (message) => {
+    if (message.deletedAt) return "Message deleted";
+    if (message.text) return message.text;
+    if (message.attachment) return message.attachment.name;
+    return message.image ? "Photo" : "";
+}
+
+// byte counts for people, e.g. 512 B, 14.2 KB, 3.1 MB
+export const formatFileSize = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    const units = ["KB", "MB", "GB"];
+    let size = bytes / 1024;
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+        size /= 1024;
+        unit++;
+    }
+    return `${size.toFixed(1)} ${units[unit]}`;
+}
+
+// "Chrome on Windows" from a user agent string, good enough to tell one's own devices apart
+export const describeUserAgent = (userAgent = "") => {
+    const browser = [
+        ["Edge", /Edg\//],
+        ["Opera", /OPR\//],
+        ["Firefox", /Firefox\//],
+        ["Chrome", /Chrome\//],
+        ["Safari", /Safari\//],
+    ].find(([, pattern]) => pattern.test(userAgent))?.[0];
+    const os = [
+        ["Android", /Android/],
+        ["iOS", /iPhone|iPad/],
+        ["Windows", /Windows/],
+        ["macOS", /Mac OS X/],
+        ["Linux", /Linux/],
+    ].find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+    if (browser && os) return `${browser} on ${os}`;
+    return browser || os || "Unknown device";
+}
+
+// hands a file that was downloaded into memory to the browser's save dialog
+export const saveBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// requests made with responseType "blob" get their JSON error body as a blob too
+export const readBlobErrorMessage = async (error) => {
+    try {
+        return JSON.parse(await error.response.data.text()).message;
+    } catch {
+        return null;
+    }
+}
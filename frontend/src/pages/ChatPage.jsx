@@ -1,15 +1,35 @@
-import React from 'react'
+import React, { useEffect } from 'react'
 import { useChatStore } from '../store/useChatStore'
+import { useAuthStore } from '../store/useAuthStore'
 import BorderAnimatedContainer from '../components/BorderAnimatedContainer';
 import NoConversationPlaceholder from '../components/NoConversationPlaceholder';
 import ChatContainer from '../components/ChatContainer';
 import ChatList from '../components/ChatList';
 import ContactList from '../components/ContactList';
+import SearchPanel from '../components/SearchPanel';
 import ActiveTabSwitch from '../components/ActiveTabSwitch';
 import ProfileHeader from '../components/ProfileHeader';
 
 function ChatPage() {
-    const { activeTab, selectedUser } = useChatStore();
+    const { activeTab, selectedUser, subscribeToConversations, unsubscribeFromConversations, subscribeToMessages, unsubscribeFromMessages, subscribeToContacts, unsubscribeFromContacts, getBlockedUsers, getMutedChats } = useChatStore();
+    const { socket } = useAuthStore();
+
+    useEffect(() => {
+      getBlockedUsers();
+      getMutedChats();
+    }, [getBlockedUsers, getMutedChats])
+
+    // messages are listened to whether or not a chat is open, so the chat list stays current
+    useEffect(() => {
+      subscribeToConversations();
+      subscribeToMessages();
+      subscribeToContacts();
+      return () => {
+        unsubscribeFromConversations();
+        unsubscribeFromMessages();
+        unsubscribeFromContacts();
+      };
+    }, [socket, subscribeToConversations, unsubscribeFromConversations, subscribeToMessages, unsubscribeFromMessages, subscribeToContacts, unsubscribeFromContacts])
   return (
     <div className='relative w-full max-w-6xl h-[800px]'>
         <BorderAnimatedContainer>
@@ -19,7 +39,7 @@ function ChatPage() {
             <ActiveTabSwitch />
 
             <div className='flex-1 overflow-auto p-4 space-y-2'>
-              {activeTab === "chats" ? <ChatList /> : <ContactList />}
+              {activeTab === "chats" ? <ChatList /> : activeTab === "contacts" ? <ContactList /> : <SearchPanel />}
             </div>
           </div>
 
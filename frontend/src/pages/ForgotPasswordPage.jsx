@@ -0,0 +1,67 @@
+import { useState } from "react";
+import { useAuthStore } from "../store/useAuthStore";
+import BorderAnimatedContainer from "../components/BorderAnimatedContainer";
+import { KeyRoundIcon, MailIcon, LoaderIcon } from "lucide-react";
+import { Link } from "react-router"
+
+function ForgotPasswordPage() {
+  const [email, setEmail] = useState("");
+  const [isSent, setIsSent] = useState(false);
+  const { requestPasswordReset, isRequestingReset } = useAuthStore();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (await requestPasswordReset(email)) setIsSent(true);
+  }
+  return (
+    <div className="w-full flex items-center justify-center p-4 bg-slate-900">
+        <div className="relative w-full max-w-md">
+            <BorderAnimatedContainer>
+                <div className="w-full p-8">
+                    <div className="text-center mb-8">
+                        <KeyRoundIcon className="w-12 h-12 mx-auto text-slate-400 mb-4" />
+                        <h2 className="text-2xl font-bold text-slate-200 mb-2">Forgot your password?</h2>
+                        <p className="text-slate-400">
+                            {isSent
+                                ? "Check your inbox for a link to reset your password."
+                                : "Enter your email and we'll send you a reset link"}
+                        </p>
+                    </div>
+
+                    {!isSent && (
+                        <form onSubmit={handleSubmit} className="space-y-6">
+                            <div>
+                                <label className="auth-input-label">Email</label>
+                                <div className="relative">
+                                    <MailIcon className="auth-input-icon"/>
+                                    <input type="email"
+                                        value={email}
+                                        onChange={(e) => setEmail(e.target.value)}
+                                        className="input"
+                                        placeholder="johndoe@gmail.com"
+                                        required
+                                    />
+                                </div>
+                            </div>
+                            <button className="auth-btn" type="submit" disabled={isRequestingReset}>
+                                {isRequestingReset ? (
+                                    <LoaderIcon className="w-full h-5 animate-spin text-center" />
+                                ) : (
+                                    "Send reset link"
+                                )}
+                            </button>
+                        </form>
+                    )}
+                    <div className="mt-6 text-center">
+                        <Link to="/login" className="auth-link">
+                            Back to login
+                        </Link>
+                    </div>
+                </div>
+            </BorderAnimatedContainer>
+        </div>
+    </div>
+  )
+}
+
+export default ForgotPasswordPage
@@ -3,11 +3,12 @@ import { useAuthStore } from "../store/useAuthStore";
 import BorderAnimatedContainer from "../components/BorderAnimatedContainer";
 import { MessageCircleIcon, LockIcon, MailIcon, LoaderIcon } from "lucide-react";
 import { Link } from "react-router"
+import TwoFactorLoginForm from "../components/TwoFactorLoginForm";
 
 function LoginPage() {
 
     const [formData, setFormData] = useState({ fullName: "", email: "", password: "" });
-      const { login, isLoggingIn } = useAuthStore();
+      const { login, isLoggingIn, twoFactorLoginToken } = useAuthStore();
     
       const handleSubmit = (e) => {
         e.preventDefault();
@@ -20,50 +21,61 @@ function LoginPage() {
                 <div className="w-full flex flex-col md:flex-row">
                     <div className="md:w-1/2 p-8 flex items-center justify-center md:border-r border-slate-600/30">
                         <div className="w-full max-w-md">
-                            <div className="text-center mb-8">
-                                <MessageCircleIcon className="w-12 h-12 mx-auto text-slate-400 mb-4" />
-                                <h2 className="text-2xl font-bold text-slate-200 mb-2">Welcome Back</h2>
-                                <p className="text-slate-400">Login to access your account</p>
-                            </div>
-
-                            <form onSubmit={handleSubmit} className="space-y-6">
-                                <div>
-                                        <label className="auth-input-label">Email</label>
-                                        <div className="relative">
-                                            <MailIcon className="auth-input-icon"/>
-                                            <input type="email" 
-                                                value={formData.email}
-                                                onChange={(e) => setFormData({ ...formData, email: e.target.value })}
-                                                className="input"
-                                                placeholder="johndoe@gmail.com"
-                                        />
+                            {twoFactorLoginToken ? (
+                                <TwoFactorLoginForm />
+                            ) : (
+                                <>
+                                    <div className="text-center mb-8">
+                                        <MessageCircleIcon className="w-12 h-12 mx-auto text-slate-400 mb-4" />
+                                        <h2 className="text-2xl font-bold text-slate-200 mb-2">Welcome Back</h2>
+                                        <p className="text-slate-400">Login to access your account</p>
                                     </div>
-                                </div>
-                                <div>
-                                    <label className="auth-input-label">Password</label>
-                                    <div className="relative">
-                                        <LockIcon className="auth-input-icon"/>
-                                        <input type="password" 
-                                            value={formData.password}
-                                            onChange={(e) => setFormData({ ...formData, password: e.target.value })}
-                                            className="input"
-                                            placeholder="Enter your password"
-                                        />
+
+                                    <form onSubmit={handleSubmit} className="space-y-6">
+                                        <div>
+                                                <label className="auth-input-label">Email</label>
+                                                <div className="relative">
+                                                    <MailIcon className="auth-input-icon"/>
+                                                    <input type="email" 
+                                                        value={formData.email}
+                                                        onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+                                                        className="input"
+                                                        placeholder="johndoe@gmail.com"
+                                                />
+                                            </div>
+                                        </div>
+                                        <div>
+                                            <label className="auth-input-label">Password</label>
+                                            <div className="relative">
+                                                <LockIcon className="auth-input-icon"/>
+                                                <input type="password" 
+                                                    value={formData.password}
+                                                    onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+                                                    className="input"
+                                                    placeholder="Enter your password"
+                                                />
+                                            </div>
+                                            <div className="mt-2 text-right">
+                                                <Link to="/forgot-password" className="auth-link">
+                                                    Forgot password?
+                                                </Link>
+                                            </div>
+                                        </div>
+                                        <button className="auth-btn" type="submit" disabled={isLoggingIn}>
+                                            {isLoggingIn ? (
+                                                <LoaderIcon className="w-full h-5 animate-spin text-center" />
+                                            ) : (
+                                                "Sign In"
+                                            )}
+                                        </button>
+                                    </form>
+                                    <div className="mt-6 text-center">
+                                        <Link to="/signup" className="auth-link">
+                                            Don't have an account? Sign Up
+                                        </Link>
                                     </div>
-                                </div>
-                                <button className="auth-btn" type="submit" disabled={isLoggingIn}>
-                                    {isLoggingIn ? (
-                                        <LoaderIcon className="w-full h-5 animate-spin text-center" />
-                                    ) : (
-                                        "Sign In"
-                                    )}
-                                </button>
-                            </form>
-                            <div className="mt-6 text-center">
-                                <Link to="/signup" className="auth-link">
-                                    Don't have an account? Sign Up
-                                </Link>
-                            </div>
+                                </>
+                            )}
                         </div>
                     </div>
 
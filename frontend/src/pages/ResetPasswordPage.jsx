@@ -0,0 +1,81 @@
+import { useState } from "react";
+import { useAuthStore } from "../store/useAuthStore";
+import BorderAnimatedContainer from "../components/BorderAnimatedContainer";
+import { KeyRoundIcon, LockIcon, LoaderIcon } from "lucide-react";
+import { Link, useNavigate, useParams } from "react-router"
+import toast from "react-hot-toast";
+
+function ResetPasswordPage() {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const [formData, setFormData] = useState({ password: "", confirmPassword: "" });
+  const { resetPassword, isResettingPassword } = useAuthStore();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (formData.password !== formData.confirmPassword) {
+      toast.error("Passwords don't match");
+      return;
+    }
+    if (await resetPassword(token, formData.password)) navigate("/login");
+  }
+  return (
+    <div className="w-full flex items-center justify-center p-4 bg-slate-900">
+        <div className="relative w-full max-w-md">
+            <BorderAnimatedContainer>
+                <div className="w-full p-8">
+                    <div className="text-center mb-8">
+                        <KeyRoundIcon className="w-12 h-12 mx-auto text-slate-400 mb-4" />
+                        <h2 className="text-2xl font-bold text-slate-200 mb-2">Choose a new password</h2>
+                        <p className="text-slate-400">You'll be signed out on all your devices</p>
+                    </div>
+
+                    <form onSubmit={handleSubmit} className="space-y-6">
+                        <div>
+                            <label className="auth-input-label">New password</label>
+                            <div className="relative">
+                                <LockIcon className="auth-input-icon"/>
+                                <input type="password"
+                                    value={formData.password}
+                                    onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+                                    className="input"
+                                    placeholder="At least 6 characters"
+                                    minLength={6}
+                                    required
+                                />
+                            </div>
+                        </div>
+                        <div>
+                            <label className="auth-input-label">Confirm password</label>
+                            <div className="relative">
+                                <LockIcon className="auth-input-icon"/>
+                                <input type="password"
+                                    value={formData.confirmPassword}
+                                    onChange={(e) => setFormData({ ...formData, confirmPassword: e.target.value })}
+                                    className="input"
+                                    placeholder="Repeat your new password"
+                                    required
+                                />
+                            </div>
+                        </div>
+                        <button className="auth-btn" type="submit" disabled={isResettingPassword}>
+                            {isResettingPassword ? (
+                                <LoaderIcon className="w-full h-5 animate-spin text-center" />
+                            ) : (
+                                "Reset password"
+                            )}
+                        </button>
+                    </form>
+                    <div className="mt-6 text-center">
+                        <Link to="/forgot-password" className="auth-link">
+                            Need a new link?
+                        </Link>
+                    </div>
+                </div>
+            </BorderAnimatedContainer>
+        </div>
+    </div>
+  )
+}
+
+export default ResetPasswordPage
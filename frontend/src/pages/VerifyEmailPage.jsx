@@ -0,0 +1,56 @@
+import { useEffect, useRef, useState } from "react";
+import { useAuthStore } from "../store/useAuthStore";
+import BorderAnimatedContainer from "../components/BorderAnimatedContainer";
+import { MailCheckIcon, MailXIcon, LoaderIcon } from "lucide-react";
+import { Link, useParams } from "react-router"
+
+// opened from the signup verification email, and with isEmailChange from the email change confirmation
+function VerifyEmailPage({ isEmailChange = false }) {
+  const { token } = useParams();
+  const { authUser, verifyEmail, confirmEmailChange } = useAuthStore();
+  const confirm = isEmailChange ? confirmEmailChange : verifyEmail;
+  const [status, setStatus] = useState("verifying");
+  const requestedTokenRef = useRef(null);
+
+  // tokens are single use, so don't send the same one twice (e.g. when effects run twice in development)
+  useEffect(() => {
+    if (requestedTokenRef.current === token) return;
+    requestedTokenRef.current = token;
+    confirm(token).then((isVerified) => setStatus(isVerified ? "verified" : "failed"));
+  }, [token, confirm])
+
+  return (
+    <div className="w-full flex items-center justify-center p-4 bg-slate-900">
+        <div className="relative w-full max-w-md">
+            <BorderAnimatedContainer>
+                <div className="w-full p-8 text-center">
+                    {status === "verifying" ? (
+                        <LoaderIcon className="w-12 h-12 mx-auto text-slate-400 animate-spin" />
+                    ) : (
+                        <>
+                            {status === "verified" ? (
+                                <MailCheckIcon className="w-12 h-12 mx-auto text-slate-400 mb-4" />
+                            ) : (
+                                <MailXIcon className="w-12 h-12 mx-auto text-slate-400 mb-4" />
+                            )}
+                            <h2 className="text-2xl font-bold text-slate-200 mb-2">
+                                {status === "verified" ? (isEmailChange ? "Email changed" : "Email verified") : "Verification failed"}
+                            </h2>
+                            <p className="text-slate-400 mb-6">
+                                {status === "verified"
+                                    ? (isEmailChange ? "From now on, sign in with your new address." : "Your account is ready. Start chatting!")
+                                    : "This link is invalid or has expired. Sign in to request a new one."}
+                            </p>
+                            <Link to={authUser ? "/" : "/login"} className="auth-link">
+                                {authUser ? "Go to your chats" : "Go to login"}
+                            </Link>
+                        </>
+                    )}
+                </div>
+            </BorderAnimatedContainer>
+        </div>
+    </div>
+  )
+}
+
+export default VerifyEmailPage
@@ -1,17 +1,31 @@
 import { create } from "zustand";
-import { axiosInstance } from "../lib/axios";
+import { axiosInstance, refreshSession } from "../lib/axios";
 import toast from "react-hot-toast"
+import { io } from "socket.io-client";
+import { readBlobErrorMessage, saveBlob } from "../lib/utils";
 
-export const useAuthStore = create((set) => ({
+const BASE_URL = import.meta.env.MODE === "development" ? "http://localhost:3000" : "/";
+
+export const useAuthStore = create((set, get) => ({
     authUser: null,
     isCheckingAuth: true,
     isSigningUp: false,
     isLoggingIn: false,
+    // set while a login waits for its second factor
+    twoFactorLoginToken: null,
+    isVerifyingTwoFactor: false,
+    isRequestingReset: false,
+    isResettingPassword: false,
+    socket: null,
+    onlineUsers: [],
+    lastSeenByUser: {},
+    sessions: [],
 
     checkAuth: async () => {
         try {
             const res = await axiosInstance.get("/auth/check")
             set({authUser: res.data});
+            get().connectSocket();
         } catch (error) {
             console.error("Error checking auth:", error);
             set({ authUser: null });
@@ -26,8 +40,9 @@ export const useAuthStore = create((set) => ({
         try {
             const res = await axiosInstance.post("/auth/signup", data)
             set({ authUser: res.data })
+            get().connectSocket();
             // toast
-            toast.successs("Account created successfully!")
+            toast.success("Account created successfully!")
         } catch (error) {
             toast.error(error.response?.data?.message || "Login failed");
         } finally {
@@ -38,9 +53,14 @@ export const useAuthStore = create((set) => ({
         set({ isLoggingIn: true });
         try {
             const res = await axiosInstance.post("/auth/login", data)
+            if (res.data.twoFactorRequired) {
+                set({ twoFactorLoginToken: res.data.loginToken });
+                return;
+            }
             set({ authUser: res.data })
+            get().connectSocket();
             // toast
-            toast.successs("Logged in successfully")
+            toast.success("Logged in successfully")
         } catch (error) {
             toast.error(error.response?.data?.message || "Signup failed");
         } finally {
@@ -48,24 +68,303 @@ export const useAuthStore = create((set) => ({
         }
     },
 
+    verifyTwoFactorLogin: async (code) => {
+        set({ isVerifyingTwoFactor: true });
+        try {
+            const res = await axiosInstance.post("/auth/login/2fa", { loginToken: get().twoFactorLoginToken, code });
+            set({ authUser: res.data, twoFactorLoginToken: null });
+            get().connectSocket();
+            toast.success("Logged in successfully")
+        } catch (error) {
+            // an expired login attempt has to start over with the password
+            if (error.response?.status === 401) set({ twoFactorLoginToken: null });
+            toast.error(error.response?.data?.message || "Login failed");
+        } finally {
+            set({ isVerifyingTwoFactor: false });
+        }
+    },
+
+    cancelTwoFactorLogin: () => set({ twoFactorLoginToken: null }),
+
     logout: async() => {
         try {
             await axiosInstance.post("/auth/logout")
             set({ authUser: null })
+            get().disconnectSocket();
         } catch (error) {
             toast.error("Error logging out")
             console.log("Logout error:", error)
         }
     },
 
+    requestPasswordReset: async (email) => {
+        set({ isRequestingReset: true });
+        try {
+            const res = await axiosInstance.post("/auth/forgot-password", { email });
+            toast.success(res.data.message);
+            return true;
+        } catch (error) {
+            toast.error(error.response?.data?.message || "Something went wrong");
+            return false;
+        } finally {
+            set({ isRequestingReset: false });
+        }
+    },
+
+    resetPassword: async (token, password) => {
+        set({ isResettingPassword: true });
+        try {
+            const res = await axiosInstance.post("/auth/reset-password", { token, password });
+            toast.success(res.data.message);
+            return true;
+        } catch (error) {
+            toast.error(error.response?.data?.message || "Something went wrong");
+            return false;
+        } finally {
+            set({ isResettingPassword: false });
+        }
+    },
+
+    verifyEmail: async (token) => {
+        try {
+            await axiosInstance.post("/auth/verify-email", { token });
+            const { authUser } = get();
+            if (authUser) set({ authUser: { ...authUser, emailVerified: true } });
+            return true;
+        } catch (error) {
+            toast.error(error.response?.data?.message || "Something went wrong");
+            return false;
+        }
+    },
+
+    resendVerificationEmail: async () => {
+        try {
+            const res = await axiosInstance.post("/auth/resend-verification");
+            toast.success(res.data.message);
+        } catch (error) {
+            toast.error(error.response?.data?.message || "Something went wrong");
+        }
+    },
+
     updateProfile: async (data) => {
         try {
             const res = await axiosInstance.put("/auth/update-profile", data)
             set({ authUser: res.data })
             toast.success("Profile updated successfully")
+            return true;
         } catch (error) {
             console.log("Update profile error:", error)
-            toast.error(error.response.data.message)
+            toast.error(error.response?.data?.message || "Something went wrong")
+            return false;
+        }
+    },
+
+    changePassword: async (currentPassword, newPassword) => {
+        try {
+            const res = await axiosInstance.put("/auth/change-password", { currentPassword, newPassword });
+            toast.success(res.data.message);
+            return true;
+        } catch (error) {
+            toast.error(error.response?.data?.message || "Something went wrong");
+            return false;
+        }
+    },
+
+    requestEmailChange: async (email, password) => {
+        try {
+            const res = await axiosInstance.post("/auth/change-email", { email, password });
+            toast.success(res.data.message);
+            return true;
+        } catch (error) {
+            toast.error(error.response?.data?.message || "Something went wrong");
+            return false;
         }
-    }
+    },
+
+    confirmEmailChange: async (token) => {
+        try {
+            const res = await axiosInstance.post("/auth/confirm-email", { token });
+            const { authUser } = get();
+            if (authUser) set({ authUser: { ...authUser, email: res.data.email, emailVerified: true } });
+            return true;
+        } catch (error) {
+            toast.error(error.response?.data?.message || "Something went wrong");
+            return false;
+        }
+    },
+
+    updateEmailDigest: async (frequency) => {
+        try {
+            const res = await axiosInstance.put("/users/email-digest", { frequency });
+            set({ authUser: { ...get().authUser, emailDigestFrequency: res.data.emailDigestFrequency } });
+        } catch (error) {
+            toast.error(error.response?.data?.message || "Something went wrong");
+        }
+    },
+
+    setupTwoFactor: async () => {
+        try {
+            const res = await axiosInstance.post("/auth/2fa/setup");
+            return res.data;
+        } catch (error) {
+            toast.error(error.response?.data?.message || "Something went wrong");
+            return null;
+        }
+    },
+
+    // resolves to the recovery codes once enabled
+    enableTwoFactor: async (code) => {
+        try {
+            const res = await axiosInstance.post("/auth/2fa/enable", { code });
+            set({ authUser: { ...get().authUser, twoFactorEnabled: true } });
+            toast.success("Two-factor authentication enabled");
+            return res.data.recoveryCodes;
+        } catch (error) {
+            toast.error(error.response?.data?.message || "Something went wrong");
+            return null;
+        }
+    },
+
+    disableTwoFactor: async (password, code) => {
+        try {
+            await axiosInstance.post("/auth/2fa/disable", { password, code });
+            set({ authUser: { ...get().authUser, twoFactorEnabled: false } });
+            toast.success("Two-factor authentication disabled");
+            return true;
+        } catch (error) {
+            toast.error(error.response?.data?.message || "Something went wrong");
+            return false;
+        }
+    },
+
+    regenerateRecoveryCodes: async (code) => {
+        try {
+            const res = await axiosInstance.post("/auth/2fa/recovery-codes", { code });
+            return res.data.recoveryCodes;
+        } catch (error) {
+            toast.error(error.response?.data?.message || "Something went wrong");
+            return null;
+        }
+    },
+
+    // downloads a zip of the profile, contacts and every conversation
+    exportAccountData: async (password) => {
+        try {
+            const res = await axiosInstance.post("/account/export", { password }, { responseType: "blob" });
+            saveBlob(res.data, `bradchat-export-${new Date().toISOString().slice(0, 10)}.zip`);
+            return true;
+        } catch (error) {
+            toast.error((await readBlobErrorMessage(error)) || "Something went wrong");
+            return false;
+        }
+    },
+
+    deleteAccount: async (password, code) => {
+        try {
+            const res = await axiosInstance.delete("/account", { data: { password, code } });
+            get().disconnectSocket();
+            set({ authUser: null });
+            toast.success(res.data.message);
+            return true;
+        } catch (error) {
+            toast.error(error.response?.data?.message || "Something went wrong");
+            return false;
+        }
+    },
+
+    getSessions: async () => {
+        try {
+            const res = await axiosInstance.get("/sessions");
+            set({ sessions: res.data });
+        } catch (error) {
+            toast.error(error.response?.data?.message || "Something went wrong");
+        }
+    },
+
+    revokeSession: async (sessionId) => {
+        const isCurrent = get().sessions.some((session) => session._id === sessionId && session.isCurrent);
+        try {
+            await axiosInstance.delete(`/sessions/${sessionId}`);
+            // revoking this device signs us out
+            if (isCurrent) {
+                set({ authUser: null, sessions: [] });
+                get().disconnectSocket();
+                return;
+            }
+            set({ sessions: get().sessions.filter((session) => session._id !== sessionId) });
+        } catch (error) {
+            toast.error(error.response?.data?.message || "Something went wrong");
+        }
+    },
+
+    revokeOtherSessions: async () => {
+        try {
+            const res = await axiosInstance.delete("/sessions");
+            set({ sessions: get().sessions.filter((session) => session.isCurrent) });
+            toast.success(res.data.message);
+        } catch (error) {
+            toast.error(error.response?.data?.message || "Something went wrong");
+        }
+    },
+
+    connectSocket: () => {
+        const { authUser, socket } = get();
+        if (!authUser || socket) return;
+
+        // the jwt cookie is sent along with the handshake
+        const newSocket = io(BASE_URL, { withCredentials: true });
+        set({ socket: newSocket });
+
+        // the verification link may have been opened in another browser
+        newSocket.on("emailVerified", () => {
+            const { authUser } = get();
+            if (authUser) set({ authUser: { ...authUser, emailVerified: true } });
+        });
+        // the handshake is refused once the access token expired: refresh it and try again, once per connection
+        let hasRetriedAuth = false;
+        newSocket.on("connect", () => {
+            hasRetriedAuth = false;
+        });
+        newSocket.on("connect_error", async (error) => {
+            if (!error.message.startsWith("Unauthorized") || hasRetriedAuth) return;
+            hasRetriedAuth = true;
+            try {
+                await refreshSession();
+                newSocket.connect();
+            } catch {
+                set({ authUser: null });
+                get().disconnectSocket();
+            }
+        });
+        // the server closes our connections when this session is revoked or the password is reset;
+        // checking again sends us back to the login page if we are signed out
+        newSocket.on("disconnect", (reason) => {
+            if (reason !== "io server disconnect") return;
+            get().disconnectSocket();
+            get().checkAuth();
+        });
+
+        newSocket.on("emailChanged", ({ email }) => {
+            const { authUser } = get();
+            if (authUser) set({ authUser: { ...authUser, email, emailVerified: true } });
+        });
+        newSocket.on("getOnlineUsers", (userIds) => set({ onlineUsers: userIds }));
+        newSocket.on("userPresence", ({ userId, isOnline, lastSeen }) => {
+            const { onlineUsers, lastSeenByUser } = get();
+            if (isOnline) {
+                if (!onlineUsers.includes(userId)) set({ onlineUsers: [...onlineUsers, userId] });
+            } else {
+                set({
+                    onlineUsers: onlineUsers.filter((id) => id !== userId),
+                    lastSeenByUser: { ...lastSeenByUser, [userId]: lastSeen },
+                });
+            }
+        });
+    },
+
+    disconnectSocket: () => {
+        const { socket } = get();
+        if (socket) socket.disconnect();
+        set({ socket: null, onlineUsers: [] });
+    },
 }))
\ No newline at end of file
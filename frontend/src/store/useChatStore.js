@@ -2,15 +2,62 @@ import { create } from "zustand";
 import { axiosInstance } from "../lib/axios";
 import toast from "react-hot-toast";
 import { useAuthStore } from "./useAuthStore";
+import { getChatName, getMessagePreview, getParticipantName, readBlobErrorMessage, saveBlob } from "../lib/utils";
+
+// how long a "typing" signal stays valid without a refresh
+const TYPING_EXPIRY_MS = 5000;
+const typingTimeouts = {};
+const MESSAGES_PAGE_SIZE = 30;
+const notificationSound = new Audio("/sounds/notification.mp3");
+// debounced searches can resolve out of order, only the latest one may update the results
+let latestSearchId = 0;
+
+// group messages carry a conversationId, 1:1 messages a receiverId
+const isMessageInChat = (message, chat) => {
+    if (chat.isGroup) return message.conversationId === chat._id;
+    if (message.conversationId) return false;
+    return message.senderId === chat._id || message.receiverId === chat._id;
+}
+
+// the chat list entry a message belongs to: its group, or the other side of a 1:1 chat
+const getMessageChatId = (message, authUserId) => {
+    if (message.conversationId) return message.conversationId;
+    return message.senderId === authUserId ? message.receiverId : message.senderId;
+}
+
+// the fields of a message the chat list shows as its preview
+const toChatPreview = ({ _id, senderId, text, image, attachment, deletedAt, createdAt }) => ({
+    _id, senderId, text, image, attachment, deletedAt, createdAt,
+});
+
+// uploads of these types are shown inline, anything else becomes a download card
+const INLINE_IMAGE_TYPES = ["image/jpeg", "image/png", "image/gif", "image/webp"];
 
 export const useChatStore = create((set, get) => ({
     allContacts: [],
+    contactRequests: { incoming: [], outgoing: [] },
     chats: [],
     messages: [],
     activeTab: "chats",
     selectedUser: null,
     isUserLoading: false,
     isMessagesLoading: false,
+    hasMoreMessages: false,
+    isLoadingOlderMessages: false,
+    // true while looking at an older window of history, e.g. after jumping to a search result
+    hasNewerMessages: false,
+    isLoadingNewerMessages: false,
+    jumpTargetId: null,
+    searchResults: [],
+    searchPage: 1,
+    hasMoreSearchResults: false,
+    isSearching: false,
+    typingUsers: {},
+    replyingTo: null,
+    // percentage of the file upload in flight, null when nothing is uploading
+    uploadProgress: null,
+    blockedUsers: [],
+    mutedChatIds: [],
     isSoundEnabled: JSON.parse(localStorage.getItem("isSoundEnabled")) === true,
 
     toggleSound: () => {
@@ -19,10 +66,11 @@ export const useChatStore = create((set, get) => ({
     },
 
     setActiveTab: (tab) => set({ activeTab: tab }),
-    setSelectedUser: (selectedUser) => set({ selectedUser }),
+    setSelectedUser: (selectedUser) => set({ selectedUser, replyingTo: null, jumpTargetId: null }),
+    setReplyingTo: (replyingTo) => set({ replyingTo }),
 
     getAllContacts: async() => {
-      set({ isUsersLoading: true });
+      if (get().allContacts.length === 0) set({ isUsersLoading: true });
       try {
             const res = await axiosInstance.get("/messages/contacts");
             set({ allContacts: res.data });
@@ -32,8 +80,80 @@ export const useChatStore = create((set, get) => ({
             set({ isUsersLoading: false });
         }
     },
+    getContactRequests: async () => {
+        try {
+            const res = await axiosInstance.get("/contacts/requests");
+            set({ contactRequests: res.data });
+        } catch (error) {
+            console.log("Error fetching contact requests:", error);
+        }
+    },
+
+    sendContactRequest: async (email) => {
+        try {
+            const res = await axiosInstance.post("/contacts/requests", { email });
+            // a request to someone who already asked us is accepted straight away
+            if (res.data.status === "accepted") {
+                toast.success(`${res.data.user.fullName} is now a contact`);
+                get().getAllContacts();
+            } else {
+                toast.success(res.data.message);
+            }
+            get().getContactRequests();
+            return true;
+        } catch (error) {
+            toast.error(error.response?.data?.message || "Something went wrong");
+            return false;
+        }
+    },
+
+    acceptContactRequest: async (requestId) => {
+        try {
+            await axiosInstance.post(`/contacts/requests/${requestId}/accept`);
+            get().getContactRequests();
+            get().getAllContacts();
+        } catch (error) {
+            toast.error(error.response?.data?.message || "Something went wrong");
+        }
+    },
+
+    // declines an incoming request or withdraws an outgoing one
+    deleteContactRequest: async (requestId) => {
+        try {
+            await axiosInstance.delete(`/contacts/requests/${requestId}`);
+            get().getContactRequests();
+        } catch (error) {
+            toast.error(error.response?.data?.message || "Something went wrong");
+        }
+    },
+
+    removeContact: async (userId) => {
+        try {
+            await axiosInstance.delete(`/contacts/${userId}`);
+            set({ allContacts: get().allContacts.filter((contact) => contact._id !== userId) });
+        } catch (error) {
+            toast.error(error.response?.data?.message || "Something went wrong");
+        }
+    },
+
+    subscribeToContacts: () => {
+        const { socket } = useAuthStore.getState();
+        if (!socket) return;
+        socket.on("contactsChanged", () => {
+            get().getContactRequests();
+            get().getAllContacts();
+        });
+    },
+
+    unsubscribeFromContacts: () => {
+        const { socket } = useAuthStore.getState();
+        if (!socket) return;
+        socket.off("contactsChanged");
+    },
+
     getMyChatPartners: async () => {
-        set({ isUsersLoading: true });
+        // later refreshes update the list in place instead of flashing the skeleton
+        if (get().chats.length === 0) set({ isUsersLoading: true });
         try {
             const res = await axiosInstance.get("/messages/chats");
             set({ chats: res.data });
@@ -45,38 +165,522 @@ export const useChatStore = create((set, get) => ({
     },
 
     getMessagesByUserId: async (userId) => {
-        set({ isMessagesLoading: true });
+        const { jumpTargetId } = get();
+        set({ isMessagesLoading: true, hasMoreMessages: false, hasNewerMessages: false });
         try {
-            const res = await axiosInstance.get(`/messages/${userId}`);
-            set({ messages: res.data });
+            // a pending jump loads the history around that message instead of the latest page
+            const params = jumpTargetId ? { around: jumpTargetId, limit: MESSAGES_PAGE_SIZE } : { limit: MESSAGES_PAGE_SIZE };
+            const res = await axiosInstance.get(`/messages/${userId}`, { params });
+            set({
+                messages: res.data.messages,
+                hasMoreMessages: res.data.hasMore,
+                hasNewerMessages: res.data.hasNewer,
+            });
         } catch (error) {
+            set({ jumpTargetId: null });
             toast.error(error.response?.data?.message || "Something went wrong");
         } finally {
             set({ isMessagesLoading: false });
         }
     },
 
-    sendMessage: async(messageData) => {
+    loadOlderMessages: async () => {
+        const { selectedUser, messages, hasMoreMessages, isLoadingOlderMessages } = get();
+        if (!selectedUser || !hasMoreMessages || isLoadingOlderMessages || messages.length === 0) return;
+
+        set({ isLoadingOlderMessages: true });
+        try {
+            const res = await axiosInstance.get(`/messages/${selectedUser._id}`, {
+                params: { before: messages[0]._id, limit: MESSAGES_PAGE_SIZE },
+            });
+            // the user may have switched chats while the page was loading
+            if (get().selectedUser?._id !== selectedUser._id) return;
+            // drop the spinner in the same update so the scroll position is restored in one pass
+            set({
+                messages: [...res.data.messages, ...get().messages],
+                hasMoreMessages: res.data.hasMore,
+                isLoadingOlderMessages: false,
+            });
+        } catch (error) {
+            toast.error(error.response?.data?.message || "Something went wrong");
+        } finally {
+            set({ isLoadingOlderMessages: false });
+        }
+    },
+
+    loadNewerMessages: async () => {
+        const { selectedUser, messages, hasNewerMessages, isLoadingNewerMessages } = get();
+        if (!selectedUser || !hasNewerMessages || isLoadingNewerMessages || messages.length === 0) return;
+
+        set({ isLoadingNewerMessages: true });
+        try {
+            const res = await axiosInstance.get(`/messages/${selectedUser._id}`, {
+                params: { after: messages.at(-1)._id, limit: MESSAGES_PAGE_SIZE },
+            });
+            if (get().selectedUser?._id !== selectedUser._id) return;
+            set({
+                messages: [...get().messages, ...res.data.messages],
+                hasNewerMessages: res.data.hasNewer,
+            });
+        } catch (error) {
+            toast.error(error.response?.data?.message || "Something went wrong");
+        } finally {
+            set({ isLoadingNewerMessages: false });
+        }
+    },
+
+    // open a chat scrolled to a given message, loading the history around it if needed
+    openMessage: (chat, messageId) => {
         const { selectedUser, messages } = get();
+        set({ jumpTargetId: messageId });
+        if (selectedUser?._id !== chat._id) {
+            // ChatContainer loads the chat and picks up the jump target
+            set({ selectedUser: chat, replyingTo: null });
+        } else if (!messages.some((msg) => msg._id === messageId)) {
+            get().getMessagesByUserId(chat._id);
+        }
+    },
+
+    clearJumpTarget: () => set({ jumpTargetId: null }),
+
+    // downloads a chat's history; the server formats timestamps in our time zone
+    exportChat: async (chat, { format, from, to }) => {
+        const extensions = { html: "html", text: "txt", json: "json" };
+        try {
+            const res = await axiosInstance.get(`/messages/${chat._id}/export`, {
+                params: { format, from, to, tz: Intl.DateTimeFormat().resolvedOptions().timeZone },
+                responseType: "blob",
+            });
+            const fileName = getChatName(chat).replace(/[^\w-]+/g, "-").toLowerCase() || "chat";
+            saveBlob(res.data, `${fileName}-${new Date().toISOString().slice(0, 10)}.${extensions[format]}`);
+            return true;
+        } catch (error) {
+            toast.error((await readBlobErrorMessage(error)) || "Something went wrong");
+            return false;
+        }
+    },
+
+    searchMessages: async (filters, page = 1) => {
+        const searchId = ++latestSearchId;
+        set({ isSearching: true });
+        try {
+            const res = await axiosInstance.get("/messages/search", { params: { ...filters, page } });
+            if (searchId !== latestSearchId) return;
+            set({
+                searchResults: page === 1 ? res.data.results : [...get().searchResults, ...res.data.results],
+                searchPage: res.data.page,
+                hasMoreSearchResults: res.data.hasMore,
+            });
+        } catch (error) {
+            toast.error(error.response?.data?.message || "Something went wrong");
+        } finally {
+            if (searchId === latestSearchId) set({ isSearching: false });
+        }
+    },
+
+    clearSearch: () => {
+        latestSearchId++;
+        set({ searchResults: [], searchPage: 1, hasMoreSearchResults: false, isSearching: false });
+    },
+
+    // messageData is { text, file }, where file is an optional File picked by the user
+    sendMessage: async(messageData) => {
+        // new messages go at the live end, so leave an older window of history first
+        if (get().hasNewerMessages) await get().getMessagesByUserId(get().selectedUser._id);
+
+        const { selectedUser, messages, replyingTo } = get();
         const {authUser} = useAuthStore.getState()
 
         const tempId = `temp-${Date.now()}`;
+        const { text, file } = messageData;
+        const isInlineImage = file && INLINE_IMAGE_TYPES.includes(file.type);
+        // a local preview of the picked image until the stored one comes back
+        const previewUrl = isInlineImage ? URL.createObjectURL(file) : null;
 
         const optimisticMessage = {
             _id: tempId,
-            sender: authUser._id,
-            receiver: selectedUser._id,
-            text: messageData.text,
-            image: messageData.image,
+            senderId: authUser._id,
+            ...(selectedUser.isGroup ? { conversationId: selectedUser._id } : { receiverId: selectedUser._id }),
+            text,
+            image: previewUrl,
+            attachment: file && !isInlineImage ? { name: file.name, size: file.size, mimeType: file.type } : null,
+            replyTo: replyingTo,
             createdAt: new Date().toISOString(),
             isOptimistic: true,
         }
-        set({ messages: [...messages, optimisticMessage] });
+        set({ messages: [...messages, optimisticMessage], replyingTo: null });
+        try {
+            let res;
+            if (file) {
+                // files go as a multipart form so the server can stream them to storage
+                const formData = new FormData();
+                formData.append("text", text);
+                if (replyingTo) formData.append("replyTo", replyingTo._id);
+                formData.append("file", file);
+                set({ uploadProgress: 0 });
+                res = await axiosInstance.post(`/messages/send/${selectedUser._id}`, formData, {
+                    onUploadProgress: (event) => {
+                        if (event.total) set({ uploadProgress: Math.round((event.loaded / event.total) * 100) });
+                    },
+                });
+            } else {
+                res = await axiosInstance.post(`/messages/send/${selectedUser._id}`, {
+                    text,
+                    replyTo: replyingTo?._id,
+                });
+            }
+            // the socket may already have delivered this message, so swap the optimistic one without duplicating
+            const withoutTemp = get().messages.filter((msg) => msg._id !== tempId && msg._id !== res.data._id);
+            set({ messages: withoutTemp.concat(res.data) });
+            get().updateChatPreview(res.data);
+        } catch (error) {
+            set({ messages: get().messages.filter((msg) => msg._id !== tempId) });
+            toast.error(error.response?.data?.message || "Something went wrong");
+        } finally {
+            if (previewUrl) URL.revokeObjectURL(previewUrl);
+            if (file) set({ uploadProgress: null });
+        }
+    },
+
+    subscribeToMessages: () => {
+        const { socket } = useAuthStore.getState();
+        if (!socket) return;
+
+        socket.on("newMessage", (newMessage) => {
+            const { selectedUser, messages } = get();
+            // a delivered message ends the sender's typing state
+            get().setUserTyping(newMessage.conversationId || newMessage.senderId, null);
+            get().updateChatPreview(newMessage);
+            get().notifyIncomingMessage(newMessage);
+            if (!selectedUser) return;
+
+            // only append messages that belong to the open conversation, and only when its latest page is loaded
+            if (!isMessageInChat(newMessage, selectedUser) || get().hasNewerMessages) return;
+            if (messages.some((msg) => msg._id === newMessage._id)) return;
+
+            set({ messages: [...messages, newMessage] });
+        });
+
+        socket.on("messageUpdated", (updatedMessage) => {
+            get().replaceMessage(updatedMessage);
+            get().updateChatPreview(updatedMessage);
+        });
+        socket.on("messagesDelivered", ({ messageIds, deliveredAt }) => {
+            get().updateMessages(messageIds, { deliveredAt });
+        });
+        socket.on("messagesRead", ({ messageIds, readAt }) => {
+            get().updateMessages(messageIds, { readAt });
+        });
+
+        socket.on("typing", ({ senderId, conversationId }) => get().setUserTyping(conversationId || senderId, senderId));
+        socket.on("stopTyping", ({ senderId, conversationId }) => get().setUserTyping(conversationId || senderId, null));
+    },
+
+    unsubscribeFromMessages: () => {
+        const { socket } = useAuthStore.getState();
+        if (!socket) return;
+        socket.off("newMessage");
+        socket.off("messageUpdated");
+        socket.off("messagesDelivered");
+        socket.off("messagesRead");
+        socket.off("typing");
+        socket.off("stopTyping");
+    },
+
+    // merge receipt fields into the loaded messages with the given ids
+    updateMessages: (messageIds, changes) => {
+        const ids = new Set(messageIds);
+        set({
+            messages: get().messages.map((msg) => (ids.has(msg._id) ? { ...msg, ...changes } : msg)),
+        });
+    },
+
+    replaceMessage: (updatedMessage) => {
+        set({
+            messages: get().messages.map((msg) => (msg._id === updatedMessage._id ? updatedMessage : msg)),
+        });
+    },
+
+    // sound and toast for messages arriving outside the chat on screen, unless that chat is muted
+    notifyIncomingMessage: (message) => {
+        const { chats, selectedUser, mutedChatIds, isSoundEnabled } = get();
+        const { authUser } = useAuthStore.getState();
+        if (message.senderId === authUser._id) return;
+
+        const chatId = getMessageChatId(message, authUser._id);
+        if (mutedChatIds.includes(chatId)) return;
+        if (selectedUser?._id === chatId && document.visibilityState === "visible") return;
+
+        if (isSoundEnabled) {
+            notificationSound.currentTime = 0;
+            notificationSound.play().catch((error) => console.log("Sound play error:", error));
+        }
+        const chat = chats.find((item) => item._id === chatId);
+        if (!chat) {
+            toast("New message");
+            return;
+        }
+        const sender = chat.isGroup ? `${getParticipantName(chat, message.senderId, authUser._id)} in ${getChatName(chat)}` : getChatName(chat);
+        toast(`${sender}: ${getMessagePreview(message)}`);
+    },
+
+    // keep the chat list preview, unread badge and order in step with new and edited messages
+    updateChatPreview: (message) => {
+        const { chats, selectedUser } = get();
+        const { authUser } = useAuthStore.getState();
+        const chatId = getMessageChatId(message, authUser._id);
+        const chat = chats.find((item) => item._id === chatId);
+
+        // first message with someone new, the list needs their profile
+        if (!chat) {
+            if (!message.conversationId) get().getMyChatPartners();
+            return;
+        }
+
+        // edits and deletions only matter when they hit the message being previewed
+        const isNew = !chat.lastMessage || new Date(message.createdAt) > new Date(chat.lastMessage.createdAt);
+        if (!isNew) {
+            if (chat.lastMessage._id !== message._id) return;
+            set({
+                chats: chats.map((item) => (item._id === chatId ? { ...item, lastMessage: toChatPreview(message) } : item)),
+            });
+            return;
+        }
+
+        // messages in the open chat are marked read as they are shown
+        const isUnread = message.senderId !== authUser._id && selectedUser?._id !== chatId;
+        const updatedChat = {
+            ...chat,
+            lastMessage: toChatPreview(message),
+            unreadCount: isUnread ? (chat.unreadCount || 0) + 1 : chat.unreadCount,
+        };
+        set({ chats: [updatedChat, ...chats.filter((item) => item._id !== chatId)] });
+    },
+
+    editMessage: async (messageId, text) => {
+        try {
+            const res = await axiosInstance.put(`/messages/${messageId}`, { text });
+            get().replaceMessage(res.data);
+            return true;
+        } catch (error) {
+            toast.error(error.response?.data?.message || "Something went wrong");
+            return false;
+        }
+    },
+
+    deleteMessage: async (messageId) => {
+        try {
+            const res = await axiosInstance.delete(`/messages/${messageId}`);
+            get().replaceMessage(res.data);
+        } catch (error) {
+            toast.error(error.response?.data?.message || "Something went wrong");
+        }
+    },
+
+    // page back through history until the given message is loaded; false if it can't be found
+    loadMessagesUntil: async (messageId) => {
+        while (!get().messages.some((msg) => msg._id === messageId)) {
+            const loadedCount = get().messages.length;
+            if (!get().hasMoreMessages) return false;
+            await get().loadOlderMessages();
+            if (get().messages.length === loadedCount) return false;
+        }
+        return true;
+    },
+
+    toggleReaction: async (messageId, emoji) => {
+        try {
+            const res = await axiosInstance.post(`/messages/${messageId}/reactions`, { emoji });
+            get().replaceMessage(res.data);
+        } catch (error) {
+            toast.error(error.response?.data?.message || "Something went wrong");
+        }
+    },
+
+    markMessagesAsRead: async (messageId) => {
+        const { selectedUser } = get();
+        if (!selectedUser) return;
+        try {
+            const res = await axiosInstance.put(`/messages/read/${selectedUser._id}`, { messageId });
+            if (res.data.readAt) get().updateMessages(res.data.messageIds, { readAt: res.data.readAt });
+            set({
+                chats: get().chats.map((chat) => (chat._id === selectedUser._id ? { ...chat, unreadCount: 0 } : chat)),
+            });
+        } catch (error) {
+            console.log("Error marking messages as read:", error);
+        }
+    },
+
+    // another user's public profile, for the profile card; not kept in the store
+    getUserProfile: async (userId) => {
+        try {
+            const res = await axiosInstance.get(`/users/${userId}/profile`);
+            return res.data;
+        } catch (error) {
+            toast.error(error.response?.data?.message || "Something went wrong");
+            return null;
+        }
+    },
+
+    getBlockedUsers: async () => {
+        try {
+            const res = await axiosInstance.get("/users/blocked");
+            set({ blockedUsers: res.data });
+        } catch (error) {
+            console.log("Error fetching blocked users:", error);
+        }
+    },
+
+    blockUser: async (userId) => {
+        try {
+            const res = await axiosInstance.post(`/users/blocked/${userId}`);
+            // blocked users disappear from the contacts list until unblocked
+            set({ blockedUsers: res.data, allContacts: get().allContacts.filter((contact) => contact._id !== userId) });
+            toast.success("User blocked");
+        } catch (error) {
+            toast.error(error.response?.data?.message || "Something went wrong");
+        }
+    },
+
+    unblockUser: async (userId) => {
+        try {
+            const res = await axiosInstance.delete(`/users/blocked/${userId}`);
+            set({ blockedUsers: res.data });
+            toast.success("User unblocked");
+        } catch (error) {
+            toast.error(error.response?.data?.message || "Something went wrong");
+        }
+    },
+
+    getMutedChats: async () => {
+        try {
+            const res = await axiosInstance.get("/users/muted");
+            set({ mutedChatIds: res.data });
+        } catch (error) {
+            console.log("Error fetching muted chats:", error);
+        }
+    },
+
+    toggleMute: async (chatId) => {
+        const isMuted = get().mutedChatIds.includes(chatId);
+        try {
+            const res = isMuted
+                ? await axiosInstance.delete(`/users/muted/${chatId}`)
+                : await axiosInstance.post(`/users/muted/${chatId}`);
+            set({ mutedChatIds: res.data });
+        } catch (error) {
+            toast.error(error.response?.data?.message || "Something went wrong");
+        }
+    },
+
+    // typingUsers maps a chat id (partner or group) to the id of the member who is typing in it
+    setUserTyping: (chatId, typingUserId) => {
+        clearTimeout(typingTimeouts[chatId]);
+        const { [chatId]: _, ...rest } = get().typingUsers;
+        if (!typingUserId) {
+            set({ typingUsers: rest });
+            return;
+        }
+        // expire on our own in case the stopTyping signal never arrives
+        typingTimeouts[chatId] = setTimeout(() => get().setUserTyping(chatId, null), TYPING_EXPIRY_MS);
+        set({ typingUsers: { ...rest, [chatId]: typingUserId } });
+    },
+
+    emitTyping: (isTyping, receiverId = get().selectedUser?._id) => {
+        const { socket } = useAuthStore.getState();
+        if (!socket || !receiverId) return;
+        socket.emit(isTyping ? "typing" : "stopTyping", { receiverId });
+    },
+
+    // group membership changes and deleted accounts arrive on the socket whether or not a chat is open
+    subscribeToConversations: () => {
+        const { socket } = useAuthStore.getState();
+        if (!socket) return;
+
+        socket.on("conversationUpdated", (group) => get().upsertGroup(group));
+        socket.on("conversationRemoved", ({ conversationId }) => {
+            const { chats, selectedUser } = get();
+            set({ chats: chats.filter((chat) => chat._id !== conversationId) });
+            if (selectedUser?._id === conversationId) set({ selectedUser: null });
+        });
+        // 1:1 chats with a deleted account stay readable under a placeholder, like the server lists them
+        socket.on("userDeleted", ({ userId }) => {
+            const { chats, selectedUser, allContacts } = get();
+            const toDeleted = (chat) => ({ ...chat, fullName: "Deleted user", email: "", profilePic: "", bio: "", statusMessage: "", isDeleted: true });
+            set({
+                chats: chats.map((chat) => (chat._id === userId ? toDeleted(chat) : chat)),
+                allContacts: allContacts.filter((contact) => contact._id !== userId),
+            });
+            if (selectedUser?._id === userId) set({ selectedUser: toDeleted(selectedUser) });
+        });
+    },
+
+    unsubscribeFromConversations: () => {
+        const { socket } = useAuthStore.getState();
+        if (!socket) return;
+        socket.off("conversationUpdated");
+        socket.off("conversationRemoved");
+        socket.off("userDeleted");
+    },
+
+    upsertGroup: (group) => {
+        const { chats, selectedUser } = get();
+        const exists = chats.some((chat) => chat._id === group._id);
+        // keep the list's preview fields, which group payloads don't carry
+        set({
+            chats: exists ? chats.map((chat) => (chat._id === group._id ? { ...chat, ...group } : chat)) : [group, ...chats],
+        });
+        if (selectedUser?._id === group._id) set({ selectedUser: { ...selectedUser, ...group } });
+    },
+
+    createGroup: async (data) => {
+        try {
+            const res = await axiosInstance.post("/conversations", data);
+            get().upsertGroup(res.data);
+            set({ selectedUser: res.data, activeTab: "chats" });
+            toast.success("Group created");
+            return true;
+        } catch (error) {
+            toast.error(error.response?.data?.message || "Something went wrong");
+            return false;
+        }
+    },
+
+    updateGroup: async (groupId, data) => {
+        try {
+            const res = await axiosInstance.put(`/conversations/${groupId}`, data);
+            get().upsertGroup(res.data);
+        } catch (error) {
+            toast.error(error.response?.data?.message || "Something went wrong");
+        }
+    },
+
+    addGroupMembers: async (groupId, memberIds) => {
+        try {
+            const res = await axiosInstance.post(`/conversations/${groupId}/members`, { memberIds });
+            get().upsertGroup(res.data);
+        } catch (error) {
+            toast.error(error.response?.data?.message || "Something went wrong");
+        }
+    },
+
+    removeGroupMember: async (groupId, userId) => {
+        try {
+            const res = await axiosInstance.delete(`/conversations/${groupId}/members/${userId}`);
+            if (res.data) get().upsertGroup(res.data);
+        } catch (error) {
+            toast.error(error.response?.data?.message || "Something went wrong");
+        }
+    },
+
+    leaveGroup: async (groupId) => {
         try {
-            const res = await axiosInstance.post(`/messages/send/${selectedUser._id}`, messageData);
-            set({messages: messages.concat(res.data)});
+            await axiosInstance.post(`/conversations/${groupId}/leave`);
+            const { chats, selectedUser } = get();
+            set({ chats: chats.filter((chat) => chat._id !== groupId) });
+            if (selectedUser?._id === groupId) set({ selectedUser: null });
+            toast.success("You left the group");
         } catch (error) {
-            set({ messages: messages});
             toast.error(error.response?.data?.message || "Something went wrong");
         }
     },